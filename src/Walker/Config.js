@@ -0,0 +1,224 @@
+import { splitPseudo } from "./Pseudo.js";
+import { MAX_DELAY } from "./Signal.js";
+import { isValidPattern } from "./Text.js";
+
+("use strict");
+const isNumber = (value) => {
+  return typeof value === "number" && value >= 0;
+};
+const isDuration = (value) => {
+  return isNumber(value) && (value <= MAX_DELAY || value === Infinity);
+};
+const isBoolean = (value) => {
+  return typeof value === "boolean";
+};
+const isFunction = (value) => {
+  return typeof value === "function";
+};
+const isObject = (value) => {
+  return typeof value === "object" && value !== null;
+};
+const oneOf = (...values) => {
+  return (value) => {
+    return values.includes(value);
+  };
+};
+
+const options = {
+  _scope_: (value, adapter) => {
+    return (
+      value === null ||
+      (adapter ? value !== undefined : isFunction(value?.querySelectorAll))
+    );
+  },
+  _concurrency_: isNumber,
+  _signal_: (value) => {
+    return isObject(value) && "aborted" in value;
+  },
+  _timeout_: isDuration,
+  _walkTimeout_: isDuration,
+  _pierceShadow_: isBoolean,
+  _frames_: isBoolean,
+  _onSkippedFrame_: isFunction,
+  _order_: oneOf("config", "document"),
+  _duplicates_: oneOf("all", "first", "priority"),
+  _priority_: isObject,
+  _results_: oneOf("flat", "detailed"),
+  _retry_: isObject,
+  _plugins_: (value) => {
+    return Array.isArray(value) && value.every(isObject);
+  },
+  _adapter_: (value) => {
+    return isObject(value) && isFunction(value.query);
+  },
+  _skip_: (value) => {
+    return typeof value === "string";
+  },
+  _once_: isBoolean,
+  _key_: (value) => {
+    return typeof value === "string";
+  },
+  _force_: isBoolean,
+  _disposable_: isBoolean,
+  _trace_: (value) => {
+    return isBoolean(value) || isFunction(value);
+  },
+  _root_: isObject,
+  _parents_: Array.isArray,
+  _cleanups_: Array.isArray,
+  __exeptionHandler__: isFunction,
+  __exceptionHandler__: isFunction,
+};
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid QueryWalker config:\n${problems
+        .map((problem) => {
+          return `  - ${problem}`;
+        })
+        .join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+export const isReserved = (key) => {
+  return /^_{1,2}[A-Za-z][A-Za-z0-9]*_{1,2}$/.test(key);
+};
+
+export const selectorsOf = (o) => {
+  return Object.keys(o).filter((key) => {
+    return !isReserved(key);
+  });
+};
+
+export const exceptionHandlerOf = (o, name = "QueryWalker") => {
+  return (
+    o.__exceptionHandler__ ??
+    o.__exeptionHandler__ ??
+    (async (e, d) => {
+      console.info(`${name} |`, e, d);
+      return d.selector;
+    })
+  );
+};
+
+// The scope's own document, so selectors are checked outside the browser too
+const documentOf = (o, method) => {
+  const document = o._scope_?.ownerDocument ?? o._scope_;
+  return isFunction(document?.[method]) ? document : globalThis.document;
+};
+
+const isValidSelector = (selector, adapter, o) => {
+  if (adapter) {
+    return adapter.isValidSelector?.(selector) ?? true;
+  }
+  try {
+    if (selector.startsWith("xpath:")) {
+      documentOf(o, "createExpression")?.createExpression(
+        selector.slice("xpath:".length)
+      );
+    } else {
+      const { base } = splitPseudo(selector);
+      documentOf(o, "createDocumentFragment")
+        ?.createDocumentFragment()
+        .querySelector(base);
+    }
+    return true;
+  } catch (ex) {
+    return false;
+  }
+};
+
+const problemsOf = (o, path, seen, adapter, text, root = o) => {
+  if (seen.has(o)) {
+    return [];
+  }
+  seen.add(o);
+  if (options._adapter_(o._adapter_)) {
+    adapter = o._adapter_;
+  }
+  let problems = [];
+  if ("__exeptionHandler__" in o && "__exceptionHandler__" in o) {
+    problems.push(
+      `${path}: use either "__exceptionHandler__" or "__exeptionHandler__", not both`
+    );
+  }
+  Object.keys(o).forEach((key) => {
+    const value = o[key];
+    if (isReserved(key)) {
+      if (!(key in options)) {
+        problems.push(`${path}: unknown option "${key}"`);
+      } else if (value !== undefined && !options[key](value, adapter)) {
+        problems.push(`${path}: invalid value for option "${key}"`);
+      }
+      return;
+    }
+    if (text) {
+      if (!isValidPattern(key)) {
+        problems.push(`${path}: invalid pattern "${key}"`);
+      }
+      if (!isFunction(value)) {
+        problems.push(`${path}: "${key}" must be a function`);
+      }
+      return;
+    }
+    if (!isValidSelector(key, adapter, root)) {
+      problems.push(`${path}: invalid selector "${key}"`);
+    }
+    if (isFunction(value)) {
+      return;
+    }
+    if (
+      !isObject(value) ||
+      ![Object.prototype, null].includes(Object.getPrototypeOf(value))
+    ) {
+      problems.push(
+        `${path}: "${key}" must be a function, a lifecycle entry or a nested config`
+      );
+      return;
+    }
+    if ("connected" in value || "disconnected" in value) {
+      ["connected", "disconnected"]
+        .filter((callback) => {
+          return value[callback] !== undefined && !isFunction(value[callback]);
+        })
+        .forEach((callback) => {
+          problems.push(`${path}: "${key}".${callback} must be a function`);
+        });
+      return;
+    }
+    problems.push(
+      ...problemsOf(value, `${path} > "${key}"`, seen, adapter, false, root)
+    );
+  });
+  return problems;
+};
+
+export const validate = (
+  o,
+  { requireScope = false, text = false, walker, supported } = {}
+) => {
+  let problems = problemsOf(o, "config", new Set(), undefined, text);
+  if (supported) {
+    problems.push(
+      ...Object.keys(o)
+        .filter((key) => {
+          return (
+            isReserved(key) && key in options && !supported.includes(key)
+          );
+        })
+        .map((key) => {
+          return `config: option "${key}" is not supported by ${walker}`;
+        })
+    );
+  }
+  if (requireScope && o._scope_ == null && selectorsOf(o).length) {
+    problems.unshift(`config: option "_scope_" is required`);
+  }
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+};
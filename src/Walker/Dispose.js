@@ -0,0 +1,69 @@
+import { exceptionHandlerOf } from "./Config.js";
+import { unmark } from "./Once.js";
+
+("use strict");
+export const cleanupsOf = (o) => {
+  return o._cleanups_ ?? (o._disposable_ ? [] : null);
+};
+
+export const equip = (payload, cleanups) => {
+  if (!cleanups) {
+    return payload;
+  }
+  // Torn down last for this payload, so the element can be walked again
+  cleanups.push({ payload: payload });
+  payload.cleanup = (cleanup) => {
+    cleanups.push({ cleanup: cleanup, payload: payload });
+  };
+  payload.on = (target, type, listener, options) => {
+    target.addEventListener(type, listener, options);
+    const off = () => {
+      target.removeEventListener(type, listener, options);
+    };
+    payload.cleanup(off);
+    return off;
+  };
+  return payload;
+};
+
+export const collect = (cleanups, entry, payload, value) => {
+  if (
+    cleanups &&
+    typeof entry === "function" &&
+    typeof value === "function"
+  ) {
+    cleanups.push({ cleanup: value, payload: payload });
+  }
+};
+
+export const nested = (walk, cleanups) => {
+  if (!cleanups) {
+    return walk;
+  }
+  return (config) => {
+    return walk(Object.assign(config, { _cleanups_: cleanups }));
+  };
+};
+
+export const toHandle = (o, cleanups, results) => {
+  if (!o._disposable_ || o._parents_) {
+    return results;
+  }
+  return {
+    results: results,
+    dispose: async () => {
+      while (cleanups.length) {
+        const { cleanup, payload } = cleanups.pop();
+        if (!cleanup) {
+          unmark(payload.self, payload);
+          continue;
+        }
+        try {
+          await cleanup(payload);
+        } catch (ex) {
+          await exceptionHandlerOf(payload.self)(ex, payload);
+        }
+      }
+    },
+  };
+};
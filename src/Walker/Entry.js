@@ -0,0 +1,103 @@
+import { exceptionHandlerOf } from "./Config.js";
+import { track } from "./Lifecycle.js";
+
+("use strict");
+const inherited = [
+  "_concurrency_",
+  "_signal_",
+  "_timeout_",
+  "_pierceShadow_",
+  "_frames_",
+  "_onSkippedFrame_",
+  "_order_",
+  "_duplicates_",
+  "_priority_",
+  "_results_",
+  "_retry_",
+  "_plugins_",
+  "_adapter_",
+];
+
+export const isLifecycle = (entry) => {
+  return "connected" in entry || "disconnected" in entry;
+};
+
+export const isNested = (entry) => {
+  return (
+    typeof entry === "object" &&
+    entry !== null &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(entry)) &&
+    !isLifecycle(entry)
+  );
+};
+
+export const createPayload = (o, match, signal) => {
+  const { element, selector, ...context } = match;
+  const payload = {
+    element: element,
+    selector: selector,
+    self: o,
+    ...context,
+  };
+  if (signal) {
+    payload.signal = signal;
+  }
+  if (o._parents_) {
+    payload.parents = o._parents_;
+    payload.parentElement = o._parents_[o._parents_.length - 1];
+  }
+  return payload;
+};
+
+export const nest = (entry, payload) => {
+  let config = {};
+  inherited
+    .filter((key) => {
+      return payload.self[key] !== undefined;
+    })
+    .forEach((key) => {
+      config[key] = payload.self[key];
+    });
+  if (payload.signal) {
+    config._signal_ = payload.signal;
+  }
+  if (!("__exeptionHandler__" in entry || "__exceptionHandler__" in entry)) {
+    config.__exceptionHandler__ = exceptionHandlerOf(payload.self);
+  }
+  return Object.assign(config, entry, {
+    _scope_: payload.element,
+    _root_: payload.self._root_ ?? payload.self._scope_,
+    _parents_: [...(payload.parents ?? []), payload.element],
+  });
+};
+
+export const invoke = async (entry, payload, walk, forget) => {
+  if (isNested(entry)) {
+    return walk(nest(entry, payload));
+  }
+  if (typeof entry !== "object" || entry === null) {
+    return entry(payload);
+  }
+  const result = entry.connected ? await entry.connected(payload) : undefined;
+  let dispose = typeof result === "function" ? result : null;
+  if (dispose && payload.cleanup) {
+    // Shared with dispose(), whichever tears the element down first
+    let disposed = false;
+    dispose = (_) => {
+      if (!disposed) {
+        disposed = true;
+        return result(_);
+      }
+    };
+    payload.cleanup(dispose);
+  }
+  if (entry.disconnected || dispose) {
+    track(payload.self._root_ ?? payload.self._scope_, payload.element, {
+      payload: payload,
+      disconnected: entry.disconnected,
+      dispose: dispose,
+      forget: forget,
+    });
+  }
+  return result;
+};
@@ -0,0 +1,87 @@
+import { selectorsOf, validate } from "./Config.js";
+import { createPayload, isNested, nest } from "./Entry.js";
+import {
+  applyDuplicates,
+  compareOf,
+  createQuery,
+  nodeOf,
+} from "./Query.js";
+
+("use strict");
+export const explain = (o) => {
+  if (!o._parents_) {
+    validate(o, { requireScope: true });
+  }
+  const query = createQuery(o);
+  const selectors = selectorsOf(o);
+  let targets = [];
+  selectors.forEach((selector) => {
+    query(selector).forEach((match) => {
+      targets.push({ ...match, selector: selector });
+    });
+  });
+  if (o._order_ === "document") {
+    targets.sort(compareOf(o));
+  }
+  const handled = applyDuplicates(o, [...targets]);
+
+  const elementsOf = (list, selector) => {
+    return list
+      .filter((target) => {
+        return target.selector === selector;
+      })
+      .map((target) => {
+        return target.element;
+      });
+  };
+
+  let explained = {};
+  selectors.forEach((selector) => {
+    const elements = elementsOf(targets, selector);
+    explained[selector] = {
+      elements: elements,
+      count: elements.length,
+      handled: elementsOf(handled, selector),
+    };
+    if (isNested(o[selector])) {
+      explained[selector].nested = handled
+        .filter((target) => {
+          return target.selector === selector;
+        })
+        .map((target) => {
+          return {
+            element: target.element,
+            ...explain(nest(o[selector], createPayload(o, target))),
+          };
+        });
+    }
+  });
+
+  const node = nodeOf(o);
+  let groups = new Map();
+  targets.forEach((target) => {
+    if (!groups.has(node(target))) {
+      groups.set(node(target), { element: target.element, selectors: [] });
+    }
+    groups.get(node(target)).selectors.push(target.selector);
+  });
+  let overlaps = [];
+  groups.forEach(({ element, selectors: matched }) => {
+    if (new Set(matched).size > 1) {
+      overlaps.push({
+        element: element,
+        selectors: selectors.filter((selector) => {
+          return matched.includes(selector);
+        }),
+      });
+    }
+  });
+
+  return {
+    selectors: explained,
+    unmatched: selectors.filter((selector) => {
+      return !explained[selector].count;
+    }),
+    overlaps: overlaps,
+  };
+};
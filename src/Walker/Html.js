@@ -0,0 +1,43 @@
+import { walkerOf } from "./Mode.js";
+
+("use strict");
+const isDocument = (html) => {
+  return /^\s*(<!doctype|<html[\s>])/i.test(html);
+};
+
+const defaultAdapter = {
+  parse: (html) => {
+    if (!globalThis.DOMParser) {
+      throw new TypeError("walkHTML needs an adapter outside the browser");
+    }
+    return new globalThis.DOMParser().parseFromString(html, "text/html");
+  },
+};
+
+const serialize = (document, html) => {
+  if (!document.documentElement) {
+    return String(document);
+  }
+  if (!isDocument(html)) {
+    return document.head.innerHTML + document.body.innerHTML;
+  }
+  return `${document.doctype ? `<!DOCTYPE ${document.doctype.name}>` : ""}${
+    document.documentElement.outerHTML
+  }`;
+};
+
+export const walkHTML = async (
+  html,
+  o,
+  { adapter = defaultAdapter, mode = "horizontal" } = {}
+) => {
+  const walk = walkerOf(mode, "walkHTML");
+  const { parse, serialize: stringify = serialize } =
+    typeof adapter === "function" ? { parse: adapter } : adapter;
+  const document = await parse(html);
+  const results = await walk({ ...o, _scope_: document });
+  return {
+    results: results,
+    html: await stringify(document, html),
+  };
+};
@@ -0,0 +1,111 @@
+import { isLifecycle } from "./Entry.js";
+import { walkHorizontally } from "./WalkHorizontally.js";
+
+("use strict");
+const registry = new Map();
+
+const camelCase = (name) => {
+  return name.replace(/-([a-z])/g, (_, letter) => {
+    return letter.toUpperCase();
+  });
+};
+
+const parseValue = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (ex) {
+    return value;
+  }
+};
+
+const isPrefixed = (key, prefix) => {
+  return key.startsWith(prefix) && /^[A-Z]/.test(key.slice(prefix.length));
+};
+
+export const optionsOf = (element, name) => {
+  const prefix = camelCase(name);
+  const others = [...registry.keys()]
+    .filter((other) => {
+      return other !== name;
+    })
+    .map(camelCase);
+  let shared = {};
+  let own = {};
+  Object.entries(element.dataset ?? {}).forEach(([key, value]) => {
+    if (key === "walker") {
+      return;
+    }
+    if (isPrefixed(key, prefix)) {
+      const option = key.slice(prefix.length);
+      own[option[0].toLowerCase() + option.slice(1)] = parseValue(value);
+    } else if (
+      !others.some((other) => {
+        return isPrefixed(key, other);
+      })
+    ) {
+      shared[key] = parseValue(value);
+    }
+  });
+  return { ...shared, ...own };
+};
+
+export const register = (name, handler) => {
+  if (typeof name !== "string" || !/^[^\s"'\\]+$/.test(name)) {
+    throw new TypeError(`Invalid behavior name "${name}"`);
+  }
+  if (
+    typeof handler !== "function" &&
+    (typeof handler !== "object" || handler === null)
+  ) {
+    throw new TypeError(
+      `Behavior "${name}" must be a function, a lifecycle entry or a nested config`
+    );
+  }
+  registry.set(name, handler);
+  return () => {
+    if (registry.get(name) === handler) {
+      registry.delete(name);
+    }
+  };
+};
+
+const entryOf = (name, handler) => {
+  const withOptions = (callback) => {
+    return (
+      callback &&
+      ((payload) => {
+        payload.name = name;
+        payload.options = optionsOf(payload.element, name);
+        return callback(payload);
+      })
+    );
+  };
+  if (typeof handler === "function") {
+    return withOptions(handler);
+  }
+  if (isLifecycle(handler)) {
+    return {
+      connected: withOptions(handler.connected),
+      disconnected: withOptions(handler.disconnected),
+    };
+  }
+  return handler;
+};
+
+export const behaviors = () => {
+  let config = {};
+  registry.forEach((handler, name) => {
+    config[`[data-walker~="${name}"]`] = entryOf(name, handler);
+  });
+  return config;
+};
+
+export const hydrate = (scope = document, o = {}) => {
+  return walkHorizontally({
+    _order_: "document",
+    _key_: "hydrate",
+    ...o,
+    _scope_: scope,
+    ...behaviors(),
+  });
+};
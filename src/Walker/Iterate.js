@@ -0,0 +1,61 @@
+import { walkerOf } from "./Mode.js";
+
+("use strict");
+export const iterate = async function* (o, { mode = "horizontal" } = {}) {
+  const walk = walkerOf(mode, "iterate");
+  const controller = new AbortController();
+  let queue = [];
+  let notify = () => {};
+  let finished = false;
+  let failure = null;
+
+  const wake = () => {
+    notify();
+    notify = () => {};
+  };
+
+  walk(o, {
+    signal: controller.signal,
+    onSettled: (settled) => {
+      return new Promise((resume) => {
+        queue.push({ settled, resume });
+        wake();
+      });
+    },
+  })
+    .catch((ex) => {
+      if (!controller.signal.aborted) {
+        failure = { error: ex };
+      }
+    })
+    .finally(() => {
+      finished = true;
+      wake();
+    });
+
+  try {
+    while (true) {
+      if (queue.length) {
+        const { settled, resume } = queue[0];
+        yield settled;
+        queue.shift();
+        resume();
+        continue;
+      }
+      if (failure) {
+        throw failure.error;
+      }
+      if (finished) {
+        return;
+      }
+      await new Promise((resolve) => {
+        notify = resolve;
+      });
+    }
+  } finally {
+    controller.abort();
+    queue.forEach(({ resume }) => {
+      resume();
+    });
+  }
+};
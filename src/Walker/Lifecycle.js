@@ -0,0 +1,84 @@
+import { exceptionHandlerOf } from "./Config.js";
+import { isWithin } from "./Query.js";
+
+("use strict");
+const registry = new WeakMap();
+
+const release = async (record) => {
+  record.forget?.();
+  try {
+    if (record.dispose) {
+      await record.dispose(record.payload);
+    }
+    if (record.disconnected) {
+      await record.disconnected(record.payload);
+    }
+  } catch (ex) {
+    await exceptionHandlerOf(record.payload.self)(ex, record.payload);
+  }
+};
+
+const observe = (scope) => {
+  const view = (scope.ownerDocument ?? scope).defaultView;
+  const tracked = new Map();
+  const observer = new view.MutationObserver((mutations) => {
+    if (
+      !mutations.some((mutation) => {
+        return mutation.removedNodes.length;
+      })
+    ) {
+      return;
+    }
+    [...tracked.keys()]
+      .filter((element) => {
+        return !isWithin(scope, element);
+      })
+      .forEach((element) => {
+        const records = tracked.get(element);
+        tracked.delete(element);
+        records.forEach(release);
+      });
+    if (!tracked.size) {
+      observer.disconnect();
+      registry.delete(scope);
+    }
+  });
+  const observed = new Set([scope]);
+  const watch = (root) => {
+    if (!observed.has(root)) {
+      observed.add(root);
+      observer.observe(root, { childList: true, subtree: true });
+    }
+  };
+  observer.observe(scope, { childList: true, subtree: true });
+  registry.set(scope, { tracked: tracked, watch: watch });
+  return registry.get(scope);
+};
+
+// Shadow roots and frame documents between the element and the scope
+const rootsBetween = (scope, element) => {
+  let roots = [];
+  let node = element;
+  while (node && !scope.contains(node)) {
+    const root = node.getRootNode();
+    roots.push(root);
+    node = root.host ?? root.defaultView?.frameElement;
+  }
+  return roots;
+};
+
+export const track = (scope, element, record) => {
+  if (
+    !scope?.nodeType ||
+    !element?.nodeType ||
+    !(scope.ownerDocument ?? scope).defaultView?.MutationObserver
+  ) {
+    return;
+  }
+  const { tracked, watch } = registry.get(scope) ?? observe(scope);
+  rootsBetween(scope, element).forEach(watch);
+  if (!tracked.has(element)) {
+    tracked.set(element, []);
+  }
+  tracked.get(element).push(record);
+};
@@ -0,0 +1,15 @@
+import { walkHorizontally } from "./WalkHorizontally.js";
+import { walkVertically } from "./WalkVertically.js";
+
+("use strict");
+const walkers = {
+  horizontal: walkHorizontally,
+  vertical: walkVertically,
+};
+
+export const walkerOf = (mode, name) => {
+  if (!(mode in walkers)) {
+    throw new TypeError(`Unknown ${name} mode "${mode}"`);
+  }
+  return walkers[mode];
+};
@@ -0,0 +1,144 @@
+("use strict");
+const step =
+  /(\*\*|\*|[^.[\]]+)((?:\[[^\]=]+(?:=[^\]]*)?\])*)(?:\.(?=.)|$)/y;
+
+const isObject = (value) => {
+  return typeof value === "object" && value !== null;
+};
+
+const parse = (selector) => {
+  let steps = [];
+  step.lastIndex = 0;
+  while (step.lastIndex < selector.length) {
+    const match = step.exec(selector);
+    if (!match) {
+      break;
+    }
+    steps.push({
+      name: match[1],
+      filters: [...match[2].matchAll(/\[([^\]=]+)(?:=([^\]]*))?\]/g)].map(
+        ([, key, value]) => {
+          return { key: key, value: value };
+        }
+      ),
+    });
+  }
+  if (!steps.length || step.lastIndex !== selector.length) {
+    throw new SyntaxError(`Invalid object selector "${selector}"`);
+  }
+  return steps;
+};
+
+const childrenOf = (match) => {
+  if (!isObject(match.element)) {
+    return [];
+  }
+  return Object.keys(match.element).map((key) => {
+    return childOf(match, key);
+  });
+};
+
+const childOf = (match, key) => {
+  return {
+    element: match.element[key],
+    path: [
+      ...match.path,
+      Array.isArray(match.element) ? Number(key) : key,
+    ],
+    parent: match.element,
+    key: Array.isArray(match.element) ? Number(key) : key,
+  };
+};
+
+const descendantsOf = (match, seen) => {
+  if (isObject(match.element)) {
+    if (seen.has(match.element)) {
+      return [];
+    }
+    seen.add(match.element);
+  }
+  return [
+    match,
+    ...childrenOf(match).flatMap((child) => {
+      return descendantsOf(child, seen);
+    }),
+  ];
+};
+
+const passes = (node, { key, value }) => {
+  return (
+    isObject(node) &&
+    Object.hasOwn(node, key) &&
+    (value === undefined || String(node[key]) === value)
+  );
+};
+
+const query = (scope, selector) => {
+  let matches = [{ element: scope, path: [], parent: null, key: null }];
+  parse(selector).forEach(({ name, filters }) => {
+    if (name === "**") {
+      const seen = new Set();
+      matches = matches.flatMap((match) => {
+        return descendantsOf(match, seen);
+      });
+    } else if (name === "*") {
+      matches = matches.flatMap(childrenOf);
+    } else {
+      matches = matches
+        .filter((match) => {
+          return isObject(match.element) && Object.hasOwn(match.element, name);
+        })
+        .map((match) => {
+          return childOf(match, name);
+        });
+    }
+    matches = matches.filter((match) => {
+      return filters.every((filter) => {
+        return passes(match.element, filter);
+      });
+    });
+  });
+  const paths = new Set();
+  return matches.filter((match) => {
+    const path = JSON.stringify(match.path);
+    if (!match.path.length || paths.has(path)) {
+      return false;
+    }
+    paths.add(path);
+    return true;
+  });
+};
+
+const compare = (a, b, scope) => {
+  let node = scope;
+  for (let i = 0; ; i++) {
+    if (i >= a.path.length || i >= b.path.length) {
+      return a.path.length - b.path.length;
+    }
+    if (a.path[i] !== b.path[i]) {
+      const keys = Object.keys(node);
+      return keys.indexOf(String(a.path[i])) - keys.indexOf(String(b.path[i]));
+    }
+    node = node[a.path[i]];
+  }
+};
+
+const identify = (match) => {
+  return JSON.stringify(match.path);
+};
+
+const isValidSelector = (selector) => {
+  try {
+    parse(selector);
+    return true;
+  } catch (ex) {
+    return false;
+  }
+};
+
+export const objectAdapter = {
+  query: query,
+  compare: compare,
+  identify: identify,
+  isValidSelector: isValidSelector,
+};
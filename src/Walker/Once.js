@@ -0,0 +1,62 @@
+("use strict");
+const processed = new WeakMap();
+
+const identityOf = (o) => {
+  return o._key_ ?? (o._once_ ? o : null);
+};
+
+const isTrackable = (element) => {
+  return typeof element === "object" && element !== null;
+};
+
+const recordsOf = (element, identity) => {
+  if (!processed.has(element)) {
+    processed.set(element, new Map());
+  }
+  const records = processed.get(element);
+  if (!records.has(identity)) {
+    records.set(identity, new Set());
+  }
+  return records.get(identity);
+};
+
+export const isProcessed = (o, target) => {
+  const identity = identityOf(o);
+  return (
+    identity !== null &&
+    !o._force_ &&
+    isTrackable(target.element) &&
+    !!processed
+      .get(target.element)
+      ?.get(identity)
+      ?.has(String(target.selector))
+  );
+};
+
+export const mark = (o, target) => {
+  const identity = identityOf(o);
+  if (identity !== null && isTrackable(target.element)) {
+    recordsOf(target.element, identity).add(String(target.selector));
+  }
+};
+
+export const unmark = (o, target) => {
+  const identity = identityOf(o);
+  if (identity !== null && isTrackable(target.element)) {
+    processed
+      .get(target.element)
+      ?.get(identity)
+      ?.delete(String(target.selector));
+  }
+};
+
+export const reset = (element, key) => {
+  if (!isTrackable(element)) {
+    return;
+  }
+  if (key === undefined) {
+    processed.delete(element);
+  } else {
+    processed.get(element)?.delete(key);
+  }
+};
@@ -0,0 +1,36 @@
+("use strict");
+let registered = [];
+
+export const use = (plugin) => {
+  if (typeof plugin !== "object" || plugin === null) {
+    throw new TypeError("QueryWalker plugins must be objects");
+  }
+  registered.push(plugin);
+  return () => {
+    registered = registered.filter((_) => {
+      return _ !== plugin;
+    });
+  };
+};
+
+export const pluginsOf = (o) => {
+  return [...registered, ...(o._plugins_ ?? [])];
+};
+
+export const hook = async (plugins, name, ...args) => {
+  for (const plugin of plugins) {
+    await plugin[name]?.(...args);
+  }
+};
+
+export const through = (plugins, payload, call) => {
+  return plugins
+    .filter((plugin) => {
+      return typeof plugin.handler === "function";
+    })
+    .reduceRight((next, plugin) => {
+      return () => {
+        return plugin.handler(payload, next);
+      };
+    }, call)();
+};
@@ -0,0 +1,125 @@
+("use strict");
+const registry = new Map();
+const token = /^:([A-Za-z][\w-]*)(?:\(((?:"[^"]*"|'[^']*'|[^()"'])*)\))?/;
+
+const unquote = (argument) => {
+  const trimmed = argument?.trim();
+  return /^(["']).*\1$/.test(trimmed ?? "") ? trimmed.slice(1, -1) : trimmed;
+};
+
+const isNative = (name) => {
+  return [`:${name}`, `:${name}(a)`, `:${name}(1)`].some((selector) => {
+    try {
+      globalThis.document?.createDocumentFragment().querySelector(selector);
+      return !!globalThis.document;
+    } catch (ex) {
+      return false;
+    }
+  });
+};
+
+export const definePseudo = (name, predicate) => {
+  if (!/^[A-Za-z][\w-]*$/.test(name) || typeof predicate !== "function") {
+    throw new TypeError(
+      "definePseudo expects a pseudo-class name and a predicate function"
+    );
+  }
+  if (isNative(name)) {
+    throw new TypeError(`":${name}" is a native pseudo-class`);
+  }
+  registry.set(name, predicate);
+  return () => {
+    if (registry.get(name) === predicate) {
+      registry.delete(name);
+    }
+  };
+};
+
+export const splitPseudo = (selector) => {
+  const source = selector.trim();
+  let base = "";
+  let filters = [];
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "[" || char === "(") {
+      depth++;
+    } else if (char === "]" || char === ")") {
+      depth--;
+    } else if (char === ":" && !depth) {
+      const match = token.exec(source.slice(i));
+      if (match && registry.has(match[1])) {
+        filters.push({
+          name: match[1],
+          predicate: registry.get(match[1]),
+          argument: unquote(match[2]),
+        });
+        i += match[0].length - 1;
+        continue;
+      }
+    } else if (filters.length && !depth && /[\s>+~,]/.test(char)) {
+      throw new SyntaxError(
+        `Custom pseudo-classes must be in the last compound selector of "${selector}"`
+      );
+    }
+    base += char;
+  }
+  if (filters.length && (!base.trim() || /[\s>+~]$/.test(base))) {
+    base += "*";
+  }
+  return { base: base, filters: filters };
+};
+
+export const passes = (element, filters) => {
+  return filters.every(({ predicate, argument }) => {
+    return predicate(element, argument);
+  });
+};
+
+const normalise = (text) => {
+  return text.replace(/\s+/g, " ").trim().toLowerCase();
+};
+
+const isHidden = (element) => {
+  const view = element.ownerDocument.defaultView;
+  for (let node = element; node?.nodeType === 1; node = node.parentElement) {
+    const style = view?.getComputedStyle(node);
+    if (node.hidden || style?.display === "none") {
+      return true;
+    }
+  }
+  return ["hidden", "collapse"].includes(
+    view?.getComputedStyle(element).visibility
+  );
+};
+
+definePseudo("contains", (element, text) => {
+  return element.textContent.includes(text ?? "");
+});
+definePseudo("has-text", (element, text) => {
+  return normalise(element.textContent).includes(normalise(text ?? ""));
+});
+definePseudo("visible", (element) => {
+  return element.isConnected && !isHidden(element);
+});
+definePseudo("external", (element) => {
+  if (!element.href) {
+    return false;
+  }
+  try {
+    return (
+      new URL(element.href, element.baseURI).origin !==
+      new URL(element.baseURI).origin
+    );
+  } catch (ex) {
+    return false;
+  }
+});
+definePseudo("empty-value", (element) => {
+  return "value" in element && String(element.value).trim() === "";
+});
@@ -0,0 +1,203 @@
+import { passes, splitPseudo } from "./Pseudo.js";
+
+("use strict");
+const frameDocumentOf = (frame) => {
+  try {
+    return frame.contentDocument?.documentElement ? frame.contentDocument : null;
+  } catch (ex) {
+    return null;
+  }
+};
+
+const rootsOf = (o, root, context) => {
+  let roots = [{ root: root, context: context }];
+  if (o._pierceShadow_) {
+    [root, ...root.querySelectorAll("*")]
+      .filter((element) => {
+        return element.shadowRoot;
+      })
+      .forEach((element) => {
+        roots.push(
+          ...rootsOf(o, element.shadowRoot, {
+            ...context,
+            shadowHost: element,
+          })
+        );
+      });
+  }
+  if (o._frames_) {
+    [...root.querySelectorAll("iframe, frame")].forEach((frame) => {
+      const frameDocument = frameDocumentOf(frame);
+      if (!frameDocument) {
+        (o._onSkippedFrame_ ??
+          ((d) => {
+            console.info("QueryWalker | skipped frame", d.frame);
+          }))({ frame: frame, self: o });
+        return;
+      }
+      roots.push(...rootsOf(o, frameDocument, { ...context, frame: frame }));
+    });
+  }
+  return roots;
+};
+
+const ORDERED_NODE_SNAPSHOT_TYPE = 7;
+
+export const isXPath = (selector) => {
+  return String(selector).startsWith("xpath:");
+};
+
+const evaluate = (root, expression) => {
+  const result = (root.ownerDocument ?? root).evaluate(
+    expression,
+    root,
+    null,
+    ORDERED_NODE_SNAPSHOT_TYPE,
+    null
+  );
+  return Array.from({ length: result.snapshotLength }, (_, index) => {
+    return result.snapshotItem(index);
+  }).filter((node) => {
+    return node !== root && root.contains(node.ownerElement ?? node);
+  });
+};
+
+export const select = (root, selector) => {
+  if (isXPath(selector)) {
+    return evaluate(root, selector.slice("xpath:".length));
+  }
+  const { base, filters } = splitPseudo(selector);
+  return [...root.querySelectorAll(base)].filter((element) => {
+    return passes(element, filters);
+  });
+};
+
+export const matches = (element, selector) => {
+  const { base, filters } = splitPseudo(selector);
+  return element.matches(base) && passes(element, filters);
+};
+
+export const createQuery = (o) => {
+  if (o._adapter_) {
+    return (selector) => {
+      return [...o._adapter_.query(o._scope_, selector)];
+    };
+  }
+  let roots = null;
+  const resolveRoots = () => {
+    roots = roots ?? rootsOf(o, o._scope_, {});
+    return roots;
+  };
+  const query = (selector) => {
+    return resolveRoots().flatMap(({ root, context }) => {
+      return select(root, selector)
+        .filter((element) => {
+          return element;
+        })
+        .map((element) => {
+          return { element: element, ...context };
+        });
+    });
+  };
+  return Object.assign(query, { resolveRoots: resolveRoots });
+};
+
+export const isWithin = (scope, node) => {
+  while (node) {
+    if (scope.contains(node)) {
+      return true;
+    }
+    const root = node.getRootNode?.();
+    node = root?.host ?? root?.defaultView?.frameElement ?? null;
+  }
+  return false;
+};
+
+const chainOf = (node) => {
+  let chain = [node];
+  let root = node.getRootNode?.();
+  let up = root?.host ?? root?.defaultView?.frameElement;
+  while (up) {
+    chain.unshift(up);
+    root = up.getRootNode();
+    up = root.host ?? root.defaultView?.frameElement;
+  }
+  return chain;
+};
+
+export const compareDocumentOrder = (a, b) => {
+  const chainA = chainOf(a);
+  const chainB = chainOf(b);
+  for (let i = 0; i < Math.min(chainA.length, chainB.length); i++) {
+    if (chainA[i] !== chainB[i]) {
+      return chainA[i].compareDocumentPosition(chainB[i]) &
+        chainA[i].DOCUMENT_POSITION_FOLLOWING
+        ? -1
+        : 1;
+    }
+  }
+  return chainA.length - chainB.length;
+};
+
+export const compareOf = (o) => {
+  if (o._adapter_) {
+    return (a, b) => {
+      return o._adapter_.compare?.(a, b, o._scope_) ?? 0;
+    };
+  }
+  return (a, b) => {
+    return compareDocumentOrder(a.element, b.element);
+  };
+};
+
+export const nodeOf = (o) => {
+  if (o._adapter_?.identify) {
+    return (target) => {
+      return o._adapter_.identify(target);
+    };
+  }
+  return (target) => {
+    return target.element;
+  };
+};
+
+export const applyDuplicates = (o, targets) => {
+  if (!o._duplicates_) {
+    return targets;
+  }
+  const order = Object.keys(o);
+  const rank = (target) => {
+    return [
+      o._duplicates_ === "priority"
+        ? -(o._priority_?.[target.selector] ?? 0)
+        : 0,
+      order.indexOf(String(target.selector)),
+    ];
+  };
+  const node = nodeOf(o);
+  let groups = new Map();
+  targets.forEach((target) => {
+    if (!groups.has(node(target))) {
+      groups.set(node(target), []);
+    }
+    groups.get(node(target)).push(target);
+  });
+  groups.forEach((group) => {
+    group.sort((a, b) => {
+      const [priorityA, indexA] = rank(a);
+      const [priorityB, indexB] = rank(b);
+      return priorityA - priorityB || indexA - indexB;
+    });
+  });
+  return targets.filter((target) => {
+    const group = groups.get(node(target));
+    target.matchedSelectors = group
+      .map((_) => {
+        return String(_.selector);
+      })
+      .sort((a, b) => {
+        return order.indexOf(a) - order.indexOf(b);
+      });
+    return o._duplicates_ === "all" || group[0] === target;
+  });
+};
@@ -0,0 +1,43 @@
+("use strict");
+export const now = () => {
+  return performance.now();
+};
+
+export const fulfilled = (value, start) => {
+  return { status: "fulfilled", value: value, durationMs: now() - start };
+};
+
+export const rejected = (reason, start) => {
+  return { status: "rejected", reason: reason, durationMs: now() - start };
+};
+
+export const toSettled = (target, value) => {
+  let settled = {
+    element: target.element,
+    selector: target.selector,
+    status: target.outcome.status,
+    value: value,
+  };
+  if (target.outcome.status === "rejected") {
+    settled.reason = target.outcome.reason;
+  }
+  return settled;
+};
+
+export const toDetailed = (selectors, targets) => {
+  let detailed = {};
+  selectors.forEach((selector) => {
+    detailed[selector] = [];
+  });
+  targets
+    .filter((target) => {
+      return target.outcome;
+    })
+    .forEach((target) => {
+      detailed[String(target.selector)].push({
+        element: target.element,
+        ...target.outcome,
+      });
+    });
+  return detailed;
+};
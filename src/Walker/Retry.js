@@ -0,0 +1,68 @@
+import { MAX_DELAY, abortable } from "./Signal.js";
+
+("use strict");
+const fields = ["attempts", "backoff", "delay", "maxDelay", "jitter", "retryIf"];
+
+export const policyOf = (o, selector) => {
+  if (!o._retry_) {
+    return null;
+  }
+  let policy = {
+    attempts: 1,
+    backoff: "fixed",
+    delay: 100,
+    maxDelay: Infinity,
+    jitter: false,
+    retryIf: () => {
+      return true;
+    },
+  };
+  fields
+    .filter((field) => {
+      return o._retry_[field] !== undefined;
+    })
+    .forEach((field) => {
+      policy[field] = o._retry_[field];
+    });
+  return Object.assign(policy, o._retry_[selector]);
+};
+
+export const delayOf = (policy, attempt) => {
+  let delay =
+    policy.backoff === "exponential"
+      ? policy.delay * 2 ** (attempt - 1)
+      : policy.delay;
+  delay = Math.min(delay, policy.maxDelay, MAX_DELAY);
+  if (policy.jitter) {
+    delay = delay / 2 + (Math.random() * delay) / 2;
+  }
+  return delay;
+};
+
+const sleep = (delay) => {
+  return new Promise((resolve) => {
+    setTimeout(resolve, delay);
+  });
+};
+
+export const retrying = async (o, payload, signal, call) => {
+  const policy = policyOf(o, String(payload.selector));
+  if (!policy) {
+    return call();
+  }
+  for (let attempt = 1; ; attempt++) {
+    payload.attempt = attempt;
+    try {
+      return await call();
+    } catch (ex) {
+      if (
+        attempt >= policy.attempts ||
+        signal?.aborted ||
+        !(await policy.retryIf(ex, payload))
+      ) {
+        throw ex;
+      }
+      await abortable(signal, sleep(delayOf(policy, attempt)));
+    }
+  }
+};
@@ -0,0 +1,105 @@
+("use strict");
+// Longest delay setTimeout honours; longer ones fire at once
+export const MAX_DELAY = 2 ** 31 - 1;
+
+const isLimited = (timeout) => {
+  return timeout > 0 && timeout !== Infinity;
+};
+
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw signal.reason;
+  }
+};
+
+export const abortable = (signal, promise) => {
+  if (!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(signal.reason);
+    };
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+};
+
+export class TimeoutError extends Error {
+  constructor(message, detail = {}) {
+    super(message);
+    this.name = "TimeoutError";
+    Object.assign(this, detail);
+  }
+}
+
+export const withTimeout = (promise, timeout, createError) => {
+  if (!isLimited(timeout)) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(createError());
+    }, timeout);
+    promise.then(resolve, reject).finally(() => {
+      clearTimeout(timer);
+    });
+  });
+};
+
+export const withHandlerTimeout = (promise, payload, timeout) => {
+  return withTimeout(promise, timeout, () => {
+    return new TimeoutError(
+      `Handler for "${payload.selector}" timed out after ${timeout}ms`,
+      { element: payload.element, selector: payload.selector, timeout: timeout }
+    );
+  });
+};
+
+export const walkSignal = (o, extra) => {
+  const signals = [o._signal_, extra].filter((signal) => {
+    return signal;
+  });
+  if (!isLimited(o._walkTimeout_) && signals.length < 2) {
+    return { signal: signals[0], clear: () => {} };
+  }
+  const controller = new AbortController();
+  const timer =
+    isLimited(o._walkTimeout_)
+      ? setTimeout(() => {
+          controller.abort(
+            new TimeoutError(`Walk timed out after ${o._walkTimeout_}ms`, {
+              timeout: o._walkTimeout_,
+            })
+          );
+        }, o._walkTimeout_)
+      : null;
+  const removers = signals.map((signal) => {
+    const onAbort = () => {
+      controller.abort(signal.reason);
+    };
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+    return () => {
+      signal.removeEventListener("abort", onAbort);
+    };
+  });
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      removers.forEach((remove) => {
+        remove();
+      });
+    },
+  };
+};
@@ -0,0 +1,35 @@
+("use strict");
+export const patternOf = (key) => {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(key);
+  const [source, flags] = literal ? [literal[1], literal[2]] : [key, ""];
+  return new RegExp(source, flags.includes("g") ? flags : `${flags}g`);
+};
+
+export const isValidPattern = (key) => {
+  try {
+    patternOf(key);
+    return true;
+  } catch (ex) {
+    return false;
+  }
+};
+
+export const wrapText = (
+  node,
+  start,
+  end,
+  wrapper = "mark",
+  attributes = {}
+) => {
+  const document = node.ownerDocument;
+  const element =
+    typeof wrapper === "string" ? document.createElement(wrapper) : wrapper;
+  Object.entries(attributes).forEach(([name, value]) => {
+    element.setAttribute(name, value);
+  });
+  const range = document.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, end);
+  range.surroundContents(element);
+  return element;
+};
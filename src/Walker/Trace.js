@@ -0,0 +1,89 @@
+import { now } from "./Results.js";
+
+("use strict");
+export const createTrace = (o) => {
+  return o._trace_ ? { start: now(), rootsMs: 0, queries: {} } : null;
+};
+
+export const timed = (trace, query) => {
+  if (!trace) {
+    return query;
+  }
+  let resolved = !query.resolveRoots;
+  return (selector) => {
+    // Shadow roots and frames are enumerated once, not billed to a selector
+    if (!resolved) {
+      resolved = true;
+      const start = now();
+      query.resolveRoots();
+      trace.rootsMs = now() - start;
+    }
+    const start = now();
+    const matches = query(selector);
+    const entry = (trace.queries[selector] ??= { queryMs: 0, matches: 0 });
+    entry.queryMs += now() - start;
+    entry.matches += matches.length;
+    return matches;
+  };
+};
+
+export const percentile = (values, p) => {
+  if (!values.length) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => {
+    return a - b;
+  });
+  return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+};
+
+const statsOf = (trace, selector, targets) => {
+  const outcomes = targets
+    .filter((target) => {
+      return target.outcome && String(target.selector) === selector;
+    })
+    .map((target) => {
+      return target.outcome;
+    });
+  const durations = outcomes.map((outcome) => {
+    return outcome.durationMs;
+  });
+  return {
+    queryMs: trace.queries[selector]?.queryMs ?? 0,
+    matches: trace.queries[selector]?.matches ?? 0,
+    handled: outcomes.length,
+    errors: outcomes.filter((outcome) => {
+      return outcome.status === "rejected";
+    }).length,
+    handlerMs: {
+      min: durations.length ? Math.min(...durations) : null,
+      max: durations.length ? Math.max(...durations) : null,
+      p95: percentile(durations, 95),
+    },
+  };
+};
+
+export const report = async (o, trace, walker, selectors, targets, results) => {
+  if (!trace) {
+    return results;
+  }
+  let stats = {};
+  selectors.forEach((selector) => {
+    stats[selector] = statsOf(trace, selector, targets);
+  });
+  const summary = {
+    walker: walker,
+    totalMs: now() - trace.start,
+    rootsMs: trace.rootsMs,
+    selectors: stats,
+  };
+  if (typeof o._trace_ === "function") {
+    await o._trace_(summary);
+  } else {
+    Object.defineProperty(results, "trace", {
+      value: summary,
+      configurable: true,
+    });
+  }
+  return results;
+};
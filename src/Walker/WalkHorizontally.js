@@ -1,52 +1,152 @@
+import { exceptionHandlerOf, selectorsOf, validate } from "./Config.js";
+import { cleanupsOf, collect, equip, nested, toHandle } from "./Dispose.js";
+import { createPayload, invoke } from "./Entry.js";
+import { isProcessed, mark, unmark } from "./Once.js";
+import { hook, pluginsOf, through } from "./Plugins.js";
+import {
+  fulfilled,
+  now,
+  rejected,
+  toDetailed,
+  toSettled,
+} from "./Results.js";
+import { retrying } from "./Retry.js";
+import { createTrace, report, timed } from "./Trace.js";
+import {
+  applyDuplicates,
+  compareOf,
+  createQuery,
+} from "./Query.js";
+import {
+  abortable,
+  throwIfAborted,
+  withHandlerTimeout,
+  walkSignal,
+} from "./Signal.js";
+
 ("use strict");
 export const walkHorizontally = async (
   o = {
     _scope_: document,
-    __exeptionHandler__: async (e, d, resolve, reject) => {
+    __exeptionHandler__: async (e, d) => {
       console.info("walkHorizontally |", e, d);
-      resolve(d.selector);
+      return d.selector;
     },
-  }
+  },
+  { signal: stop, onSettled } = {}
 ) => {
-  let pool = [];
-  Object.keys(o)
-    .filter((key) => {
-      return !["_scope_"].includes(key);
-    })
-    .forEach((selector) => {
-      [...o._scope_.querySelectorAll(selector)]
-        .filter((element) => {
-          return element;
-        })
-        .forEach((element) => {
-          pool.push({
-            element: element,
-            selector: new String(selector),
-          });
-        });
+  if (!o._parents_) {
+    validate(o, { requireScope: true });
+  }
+  const { signal, clear } = walkSignal(o, stop);
+  try {
+    throwIfAborted(signal);
+    const trace = createTrace(o);
+    const plugins = pluginsOf(o);
+    const cleanups = cleanupsOf(o);
+    await hook(plugins, "beforeWalk", { self: o, walker: "walkHorizontally" });
+
+    const query = timed(trace, createQuery(o));
+    const selectors = selectorsOf(o);
+    let targets = [];
+    selectors.forEach((selector) => {
+      const _selector = new String(selector);
+      query(selector).forEach((match) => {
+        targets.push({ ...match, selector: _selector });
+      });
+    });
+    let pool = applyDuplicates(o, targets).filter((target) => {
+      return !isProcessed(o, target);
     });
+    if (o._order_ === "document") {
+      pool.sort(compareOf(o));
+    }
 
-  return Promise.all(
-    pool.map((_) => {
+    const run = (_) => {
       return new Promise(async (resolve, reject) => {
+        const payload = equip(createPayload(o, _, signal), cleanups);
+        const start = now();
+        mark(o, _);
         try {
-          resolve(
-            await o[_.selector]({
-              element: _.element,
-              selector: _.selector,
-              self: o,
-            })
-          );
+          await hook(plugins, "beforeEach", payload);
+          const value = await retrying(o, payload, signal, () => {
+            throwIfAborted(signal);
+            return withHandlerTimeout(
+              through(plugins, payload, () => {
+                return invoke(
+                  o[_.selector],
+                  payload,
+                  nested(walkHorizontally, cleanups)
+                );
+              }),
+              payload,
+              o._timeout_
+            );
+          });
+          _.outcome = fulfilled(value, start);
+          collect(cleanups, o[_.selector], payload, value);
+          await hook(plugins, "afterEach", payload, value);
+          await onSettled?.(toSettled(_, value));
+          resolve(value);
         } catch (ex) {
-          resolve(
-            await o.__exeptionHandler__(ex, {
-              element: _.element,
-              selector: _.selector,
-              self: o,
-            })
-          );
+          unmark(o, _);
+          if (signal?.aborted) {
+            return reject(signal.reason);
+          }
+          _.outcome = rejected(ex, start);
+          try {
+            await hook(plugins, "onError", ex, payload);
+            const value = await exceptionHandlerOf(o, "walkHorizontally")(
+              ex,
+              payload
+            );
+            await onSettled?.(toSettled(_, value));
+            resolve(value);
+          } catch (error) {
+            reject(error);
+          }
         }
       });
-    })
-  );
+    };
+
+    const settle = async (results) => {
+      results =
+        o._results_ === "detailed" ? toDetailed(selectors, pool) : results;
+      results = await report(
+        o,
+        trace,
+        "walkHorizontally",
+        selectors,
+        pool,
+        results
+      );
+      await hook(plugins, "afterWalk", {
+        self: o,
+        walker: "walkHorizontally",
+        results,
+      });
+      return toHandle(o, cleanups, results);
+    };
+
+    if (!(o._concurrency_ > 0) || o._concurrency_ >= pool.length) {
+      return settle(await abortable(signal, Promise.all(pool.map(run))));
+    }
+
+    let results = new Array(pool.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < pool.length) {
+        throwIfAborted(signal);
+        const index = next++;
+        results[index] = await run(pool[index]);
+      }
+    };
+    await abortable(
+      signal,
+      Promise.all(Array.from({ length: Math.ceil(o._concurrency_) }, worker))
+    );
+    return settle(results);
+  } finally {
+    clear();
+  }
 };
@@ -0,0 +1,107 @@
+import { exceptionHandlerOf, selectorsOf, validate } from "./Config.js";
+import { createPayload, invoke } from "./Entry.js";
+import { isXPath, matches, select } from "./Query.js";
+import { walkHorizontally } from "./WalkHorizontally.js";
+
+("use strict");
+export const walkLive = async (
+  o = {
+    _scope_: document,
+    __exeptionHandler__: async (e, d) => {
+      console.info("walkLive |", e, d);
+      return d.selector;
+    },
+  }
+) => {
+  validate(o, {
+    requireScope: true,
+    walker: "walkLive",
+    supported: ["_scope_", "__exceptionHandler__", "__exeptionHandler__"],
+  });
+  const selectors = selectorsOf(o);
+  const processed = new WeakMap();
+
+  const collect = (root, includeRoot) => {
+    let pool = [];
+    selectors.forEach((selector) => {
+      const xpath = isXPath(selector);
+      let elements = select(includeRoot && xpath ? o._scope_ : root, selector);
+      if (includeRoot && xpath) {
+        elements = elements.filter((node) => {
+          return root === node || root.contains(node.ownerElement ?? node);
+        });
+      } else if (includeRoot && matches(root, selector)) {
+        elements.unshift(root);
+      }
+      elements
+        .filter((element) => {
+          return element;
+        })
+        .forEach((element) => {
+          if (!processed.has(element)) {
+            processed.set(element, new Set());
+          }
+          if (processed.get(element).has(selector)) {
+            return;
+          }
+          processed.get(element).add(selector);
+          pool.push({
+            element: element,
+            selector: new String(selector),
+          });
+        });
+    });
+    return pool;
+  };
+
+  const dispatch = async (_) => {
+    const payload = createPayload(o, _);
+    try {
+      return await invoke(o[_.selector], payload, walkHorizontally, () => {
+        processed.get(_.element)?.delete(String(_.selector));
+      });
+    } catch (ex) {
+      return await exceptionHandlerOf(o, "walkLive")(ex, payload);
+    }
+  };
+
+  const pool = collect(o._scope_, false);
+
+  const observer = new MutationObserver((mutations) => {
+    mutations.forEach((mutation) => {
+      [...mutation.addedNodes]
+        .filter((node) => {
+          return (
+            node.nodeType === Node.ELEMENT_NODE && o._scope_.contains(node)
+          );
+        })
+        .forEach((node) => {
+          collect(node, true).forEach((_) => {
+            dispatch(_).catch((ex) => {
+              console.info("walkLive |", ex, _);
+            });
+          });
+        });
+    });
+  });
+  observer.observe(o._scope_, { childList: true, subtree: true });
+
+  const stop = () => {
+    observer.disconnect();
+  };
+
+  let results;
+  try {
+    results = await Promise.all(pool.map(dispatch));
+  } catch (ex) {
+    stop();
+    throw ex;
+  }
+
+  return {
+    results: results,
+    observer: observer,
+    stop: stop,
+    disconnect: stop,
+  };
+};
@@ -0,0 +1,101 @@
+import { exceptionHandlerOf, selectorsOf, validate } from "./Config.js";
+import { abortable, throwIfAborted, walkSignal } from "./Signal.js";
+import { patternOf, wrapText } from "./Text.js";
+
+("use strict");
+const SHOW_TEXT = 4;
+
+const matchesOf = (node, selectors) => {
+  let matches = [];
+  selectors.forEach((selector, order) => {
+    for (const match of node.data.matchAll(patternOf(selector))) {
+      if (!match[0]) {
+        continue;
+      }
+      matches.push({
+        selector: selector,
+        order: order,
+        match: match,
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+  });
+  matches.sort((a, b) => {
+    return a.start - b.start || a.order - b.order;
+  });
+  let end = 0;
+  return matches.filter((match) => {
+    if (match.start < end) {
+      return false;
+    }
+    end = match.end;
+    return true;
+  });
+};
+
+export const walkText = async (
+  o = {
+    _scope_: document,
+    __exeptionHandler__: async (e, d) => {
+      console.info("walkText |", e, d);
+      return d.selector;
+    },
+  }
+) => {
+  validate(o, { requireScope: true, text: true });
+  const { signal, clear } = walkSignal(o);
+  try {
+    throwIfAborted(signal);
+    const selectors = selectorsOf(o);
+    const skip = o._skip_ ?? "script, style, noscript, textarea";
+
+    let nodes = [];
+    const walker = (o._scope_.ownerDocument ?? o._scope_).createTreeWalker(
+      o._scope_,
+      SHOW_TEXT
+    );
+    while (walker.nextNode()) {
+      if (!walker.currentNode.parentElement?.closest(skip)) {
+        nodes.push(walker.currentNode);
+      }
+    }
+
+    let results = [];
+    for (const node of nodes) {
+      const matches = matchesOf(node, selectors);
+      let settled = [];
+      for (const { selector, match, start, end } of matches.reverse()) {
+        throwIfAborted(signal);
+        const payload = {
+          node: node,
+          selector: new String(selector),
+          self: o,
+          text: match[0],
+          groups: match.slice(1),
+          namedGroups: match.groups,
+          start: start,
+          end: end,
+          wrap: (wrapper, attributes) => {
+            return wrapText(node, start, end, wrapper, attributes);
+          },
+        };
+        if (signal) {
+          payload.signal = signal;
+        }
+        try {
+          settled.unshift(
+            await abortable(signal, Promise.resolve(o[selector](payload)))
+          );
+        } catch (ex) {
+          throwIfAborted(signal);
+          settled.unshift(await exceptionHandlerOf(o, "walkText")(ex, payload));
+        }
+      }
+      results.push(...settled);
+    }
+    return results;
+  } finally {
+    clear();
+  }
+};
@@ -1,3 +1,29 @@
+import { exceptionHandlerOf, selectorsOf, validate } from "./Config.js";
+import { cleanupsOf, collect, equip, nested, toHandle } from "./Dispose.js";
+import { createPayload, invoke } from "./Entry.js";
+import { isProcessed, mark, unmark } from "./Once.js";
+import { hook, pluginsOf, through } from "./Plugins.js";
+import {
+  fulfilled,
+  now,
+  rejected,
+  toDetailed,
+  toSettled,
+} from "./Results.js";
+import { retrying } from "./Retry.js";
+import { createTrace, report, timed } from "./Trace.js";
+import {
+  applyDuplicates,
+  compareOf,
+  createQuery,
+} from "./Query.js";
+import {
+  abortable,
+  throwIfAborted,
+  withHandlerTimeout,
+  walkSignal,
+} from "./Signal.js";
+
 ("use strict");
 export const walkVertically = async (
   o = {
@@ -6,35 +32,118 @@ export const walkVertically = async (
       console.info("walkVertically |", e, d);
       return d.selector;
     },
-  }
+  },
+  { signal: stop, onSettled } = {}
 ) => {
-  let results = [];
+  if (!o._parents_) {
+    validate(o);
+  }
+  const { signal, clear } = walkSignal(o, stop);
+  try {
+    throwIfAborted(signal);
+    const trace = createTrace(o);
+    const plugins = pluginsOf(o);
+    const cleanups = cleanupsOf(o);
+    await hook(plugins, "beforeWalk", { self: o, walker: "walkVertically" });
+
+    const query = timed(trace, createQuery(o));
+    let results = [];
+    let visited = [];
 
-  for (let selector of Object.keys(o).filter((key) => {
-    return !["_scope_"].includes(key);
-  })) {
-    let elements = o._scope_ ? [...o._scope_.querySelectorAll(selector)].filter(
-      (element) => {
-        return element;
+    const selectors = selectorsOf(o);
+    const targets = function* () {
+      if (!o._scope_) {
+        return;
       }
-    ) : [];
-    for (let e of elements) {
-      try {
-        const result = await o[selector]({
-          element: e,
-          selector: new String(selector),
-          self: o,
+      if (o._order_ === "document" || o._duplicates_) {
+        let all = selectors.flatMap((selector) => {
+          return query(selector).map((match) => {
+            return { ...match, selector: selector };
+          });
+        });
+        if (o._order_ === "document") {
+          all.sort(compareOf(o));
+        }
+        yield* applyDuplicates(o, all);
+        return;
+      }
+      for (let selector of selectors) {
+        yield* query(selector).map((match) => {
+          return { ...match, selector: selector };
         });
+      }
+    };
+
+    for (let target of targets()) {
+      throwIfAborted(signal);
+      if (isProcessed(o, target)) {
+        continue;
+      }
+      const payload = equip(
+        createPayload(
+          o,
+          { ...target, selector: new String(target.selector) },
+          signal
+        ),
+        cleanups
+      );
+      const start = now();
+      visited.push(target);
+      mark(o, target);
+      try {
+        await hook(plugins, "beforeEach", payload);
+        const result = await abortable(
+          signal,
+          retrying(o, payload, signal, () => {
+            return withHandlerTimeout(
+              through(plugins, payload, () => {
+                return invoke(
+                  o[target.selector],
+                  payload,
+                  nested(walkVertically, cleanups)
+                );
+              }),
+              payload,
+              o._timeout_
+            );
+          })
+        );
+        target.outcome = fulfilled(result, start);
+        collect(cleanups, o[target.selector], payload, result);
+        await hook(plugins, "afterEach", payload, result);
+        await onSettled?.(toSettled(target, result));
         results.push(result);
       } catch (ex) {
-        const errorResult = await o.__exeptionHandler__(ex, {
-          element: e,
-          selector: new String(selector),
-          self: o,
-        });
+        unmark(o, target);
+        throwIfAborted(signal);
+        target.outcome = rejected(ex, start);
+        await hook(plugins, "onError", ex, payload);
+        const errorResult = await exceptionHandlerOf(o, "walkVertically")(
+          ex,
+          payload
+        );
+        await onSettled?.(toSettled(target, errorResult));
         results.push(errorResult);
       }
     }
+    if (o._results_ === "detailed") {
+      results = toDetailed(selectors, visited);
+    }
+    results = await report(
+      o,
+      trace,
+      "walkVertically",
+      selectors,
+      visited,
+      results
+    );
+    await hook(plugins, "afterWalk", {
+      self: o,
+      walker: "walkVertically",
+      results,
+    });
+    return toHandle(o, cleanups, results);
+  } finally {
+    clear();
   }
-  return results;
 };
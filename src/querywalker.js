@@ -1,8 +1,33 @@
 import { walkHorizontally } from "./Walker/WalkHorizontally.js";
 import { walkVertically } from "./Walker/WalkVertically.js";
+import { walkLive } from "./Walker/WalkLive.js";
+import { walkText } from "./Walker/WalkText.js";
+import { iterate } from "./Walker/Iterate.js";
+import { explain } from "./Walker/Explain.js";
+import { walkHTML } from "./Walker/Html.js";
+import { use } from "./Walker/Plugins.js";
+import { definePseudo } from "./Walker/Pseudo.js";
+import { behaviors, hydrate, register } from "./Walker/Hydrate.js";
+import { reset } from "./Walker/Once.js";
+import { ConfigError } from "./Walker/Config.js";
+import { TimeoutError } from "./Walker/Signal.js";
+import { objectAdapter } from "./Walker/ObjectAdapter.js";
+import { wrapText } from "./Walker/Text.js";
 
 ("use strict");
 export const QueryWalker = {
   walkHorizontally,
   walkVertically,
+  walkLive,
+  walkText,
+  walkHTML,
+  iterate,
+  explain,
+  use,
+  definePseudo,
+  register,
+  hydrate,
+  behaviors,
+  reset,
 };
+export { ConfigError, TimeoutError, objectAdapter, wrapText };
@@ -0,0 +1,145 @@
+/**
+ * Config Unit Tests
+ *
+ * This test suite validates reserved option handling and up-front config
+ * validation. Reserved keys are never queried as selectors, and every problem
+ * in a config is reported in a single ConfigError before anything is walked.
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+import { ConfigError, isReserved, selectorsOf } from '../src/Walker/Config.js';
+
+describe('Reserved options', () => {
+  test('should recognise reserved option keys', () => {
+    expect(isReserved('_scope_')).toBe(true);
+    expect(isReserved('__exeptionHandler__')).toBe(true);
+    expect(isReserved('__exceptionHandler__')).toBe(true);
+    expect(isReserved('_futureOption_')).toBe(true);
+    expect(isReserved('.test-class')).toBe(false);
+    expect(isReserved('div > span')).toBe(false);
+  });
+
+  test('should exclude reserved keys from selectors', () => {
+    expect(selectorsOf({
+      _scope_: null,
+      __exeptionHandler__: () => {},
+      '.a': () => {},
+      '.b': () => {}
+    })).toEqual(['.a', '.b']);
+  });
+});
+
+describe.each([
+  ['walkHorizontally', walkHorizontally],
+  ['walkVertically', walkVertically]
+])('%s config handling', (name, walk) => {
+  let mockScope;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockScope = {
+      querySelectorAll: jest.fn((selector) => {
+        return selector === '.test-class' ? [mockElement] : [];
+      })
+    };
+  });
+
+  test('should not query the exception handler as a selector', async () => {
+    await walk({
+      _scope_: mockScope,
+      '.test-class': jest.fn(),
+      __exeptionHandler__: jest.fn()
+    });
+
+    expect(mockScope.querySelectorAll).toHaveBeenCalledTimes(1);
+    expect(mockScope.querySelectorAll).toHaveBeenCalledWith('.test-class');
+  });
+
+  test('should accept __exceptionHandler__ as an alias', async () => {
+    const mockExceptionHandler = jest.fn().mockResolvedValue('error-handled');
+
+    const result = await walk({
+      _scope_: mockScope,
+      '.test-class': jest.fn().mockRejectedValue(new Error('Test error')),
+      __exceptionHandler__: mockExceptionHandler
+    });
+
+    expect(result).toEqual(['error-handled']);
+    expect(mockScope.querySelectorAll).not.toHaveBeenCalledWith('__exceptionHandler__');
+  });
+
+  test('should fall back to a default exception handler', async () => {
+    const info = jest.spyOn(console, 'info').mockImplementation(() => {});
+
+    const result = await walk({
+      _scope_: mockScope,
+      '.test-class': jest.fn().mockRejectedValue(new Error('Test error'))
+    });
+
+    expect(result).toEqual([expect.any(String)]);
+    expect(String(result[0])).toBe('.test-class');
+    expect(info).toHaveBeenCalled();
+    info.mockRestore();
+  });
+
+  test('should report every problem in one ConfigError before walking', async () => {
+    const mockHandler = jest.fn();
+    const walking = walk({
+      _scope_: mockScope,
+      _concurency_: 2,
+      _timeout_: 'soon',
+      '.test-class': mockHandler,
+      'div[': jest.fn(),
+      '.count': 3,
+      '.card': {
+        '.title': 'text',
+        '.price': { connected: 'yes' }
+      },
+      __exeptionHandler__: jest.fn(),
+      __exceptionHandler__: jest.fn()
+    });
+
+    await expect(walking).rejects.toThrow(ConfigError);
+    const error = await walking.catch(ex => ex);
+    expect(error.problems).toEqual([
+      'config: use either "__exceptionHandler__" or "__exeptionHandler__", not both',
+      'config: unknown option "_concurency_"',
+      'config: invalid value for option "_timeout_"',
+      'config: invalid selector "div["',
+      'config: ".count" must be a function, a lifecycle entry or a nested config',
+      'config > ".card": ".title" must be a function, a lifecycle entry or a nested config',
+      'config > ".card": ".price".connected must be a function'
+    ]);
+    expect(error.message).toContain('unknown option "_concurency_"');
+    expect(mockScope.querySelectorAll).not.toHaveBeenCalled();
+    expect(mockHandler).not.toHaveBeenCalled();
+  });
+
+  test('should reject timeouts longer than timers allow and accept Infinity', async () => {
+    const walking = walk({ _scope_: mockScope, _timeout_: 2 ** 31, _walkTimeout_: -1, '.test-class': jest.fn() });
+
+    expect((await walking.catch(ex => ex)).problems).toEqual([
+      'config: invalid value for option "_timeout_"',
+      'config: invalid value for option "_walkTimeout_"'
+    ]);
+    await expect(walk({
+      _scope_: mockScope,
+      _timeout_: Infinity,
+      _walkTimeout_: Infinity,
+      '.test-class': () => new Promise(resolve => setTimeout(() => resolve('processed'), 5))
+    })).resolves.toEqual(['processed']);
+  });
+
+  test('should accept circular nested configs', async () => {
+    const config = {
+      _scope_: mockScope,
+      '.test-class': jest.fn().mockResolvedValue('processed')
+    };
+    config.self = config;
+
+    await expect(walk(config)).resolves.toEqual(['processed']);
+  });
+});
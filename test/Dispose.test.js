@@ -0,0 +1,159 @@
+/**
+ * Disposable Walk Unit Tests
+ *
+ * This test suite validates the `_disposable_` option. Disposable walks return
+ * a handle whose `dispose()` undoes handler side effects by running every
+ * cleanup registered during the walk, in reverse order.
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+
+describe.each([
+  ['walkHorizontally', walkHorizontally],
+  ['walkVertically', walkVertically]
+])('%s with _disposable_', (name, walk) => {
+  let scope;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<button class="item">A</button><button class="item">B</button>';
+  });
+
+  test('should return results with a dispose handle', async () => {
+    const handle = await walk({
+      _scope_: scope,
+      _disposable_: true,
+      '.item': ({ element }) => element.textContent
+    });
+
+    expect(handle).toEqual({ results: ['A', 'B'], dispose: expect.any(Function) });
+    await expect(handle.dispose()).resolves.toBeUndefined();
+  });
+
+  test('should call returned cleanup functions in reverse order', async () => {
+    const order = [];
+
+    const handle = await walk({
+      _scope_: scope,
+      _disposable_: true,
+      _concurrency_: 1,
+      '.item': ({ element }) => () => order.push(element.textContent)
+    });
+    expect(order).toEqual([]);
+
+    await handle.dispose();
+    await handle.dispose();
+
+    expect(order).toEqual(['B', 'A']);
+  });
+
+  test('should remove listeners added with on', async () => {
+    const onClick = jest.fn();
+
+    const handle = await walk({
+      _scope_: scope,
+      _disposable_: true,
+      '.item': ({ element, on }) => {
+        on(element, 'click', onClick);
+      }
+    });
+    scope.querySelector('.item').click();
+    await handle.dispose();
+    scope.querySelector('.item').click();
+
+    expect(onClick).toHaveBeenCalledTimes(1);
+  });
+
+  test('should run cleanups registered with cleanup and within nested configs', async () => {
+    scope.innerHTML = '<div class="card"><button>Buy</button></div>';
+    const teardown = jest.fn();
+    const onClick = jest.fn();
+
+    const handle = await walk({
+      _scope_: scope,
+      _disposable_: true,
+      '.card': {
+        'button': ({ element, on, cleanup }) => {
+          on(element, 'click', onClick);
+          cleanup(teardown);
+          return element.textContent;
+        }
+      }
+    });
+    expect(handle.results).toEqual([['Buy']]);
+
+    await handle.dispose();
+    scope.querySelector('button').click();
+
+    expect(teardown).toHaveBeenCalledWith(expect.objectContaining({ element: scope.querySelector('button') }));
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  test('should pass cleanup errors to the exception handler and keep disposing', async () => {
+    const error = new Error('Cleanup error');
+    const mockExceptionHandler = jest.fn();
+    const cleanup = jest.fn();
+
+    const handle = await walk({
+      _scope_: scope,
+      _disposable_: true,
+      '.item:first-child': () => cleanup,
+      '.item:last-child': () => () => {
+        throw error;
+      },
+      __exceptionHandler__: mockExceptionHandler
+    });
+    await handle.dispose();
+
+    expect(mockExceptionHandler).toHaveBeenCalledWith(error, expect.objectContaining({
+      element: scope.querySelector('.item:last-child')
+    }));
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  test('should run lifecycle disposers once, on dispose or on removal', async () => {
+    document.body.appendChild(scope);
+    const disposer = jest.fn();
+    const disconnected = jest.fn();
+
+    const handle = await walk({
+      _scope_: scope,
+      _disposable_: true,
+      '.item': { connected: () => disposer, disconnected }
+    });
+    await handle.dispose();
+    expect(disposer).toHaveBeenCalledTimes(2);
+
+    scope.querySelectorAll('.item').forEach(item => item.remove());
+    await new Promise(resolve => setTimeout(resolve, 0));
+    scope.remove();
+
+    expect(disposer).toHaveBeenCalledTimes(2);
+    expect(disconnected).toHaveBeenCalledTimes(2);
+  });
+
+  test('should handle disposed elements again in keyed walks', async () => {
+    const cleanup = jest.fn();
+    const mockHandler = jest.fn(() => cleanup);
+    const config = { _scope_: scope, _key_: 'disposable', _disposable_: true, '.item': mockHandler };
+
+    const handle = await walk(config);
+    await expect(walk(config)).resolves.toEqual({ results: [], dispose: expect.any(Function) });
+    await handle.dispose();
+    await walk(config);
+
+    expect(cleanup).toHaveBeenCalledTimes(2);
+    expect(mockHandler).toHaveBeenCalledTimes(4);
+  });
+
+  test('should leave results and payloads unchanged by default', async () => {
+    const mockHandler = jest.fn(() => () => {});
+
+    const result = await walk({ _scope_: scope, '.item': mockHandler });
+
+    expect(result).toEqual([expect.any(Function), expect.any(Function)]);
+    expect(mockHandler.mock.calls[0][0]).not.toHaveProperty('on');
+  });
+});
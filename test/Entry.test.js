@@ -0,0 +1,170 @@
+/**
+ * Entry Unit Tests
+ *
+ * This test suite validates how selector entries are dispatched. Besides
+ * processing functions and lifecycle entries, a selector entry may be a nested
+ * configuration that is walked with each matched element as its scope.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+
+describe('Nested configs', () => {
+  let scope;
+  let cards;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = `
+      <div class="card">
+        <h2 class="title">Apple</h2>
+        <span class="price">100</span>
+      </div>
+      <div class="card">
+        <h2 class="title">Orange</h2>
+        <span class="price">200</span>
+      </div>
+    `;
+    document.body.appendChild(scope);
+    cards = [...scope.querySelectorAll('.card')];
+  });
+
+  afterEach(() => {
+    scope.remove();
+  });
+
+  test('should walk nested configs within each matched element', async () => {
+    const result = await walkVertically({
+      _scope_: scope,
+      '.card': {
+        '.title': ({ element }) => element.textContent,
+        '.price': ({ element }) => Number(element.textContent)
+      }
+    });
+
+    expect(result).toEqual([
+      ['Apple', 100],
+      ['Orange', 200]
+    ]);
+  });
+
+  test('should expose the parent chain in the payload', async () => {
+    const mockHandler = jest.fn();
+
+    await walkHorizontally({
+      _scope_: scope,
+      '.card': {
+        '.title': mockHandler
+      }
+    });
+
+    expect(mockHandler).toHaveBeenCalledTimes(2);
+    expect(mockHandler).toHaveBeenCalledWith(expect.objectContaining({
+      element: cards[0].querySelector('.title'),
+      parents: [cards[0]],
+      parentElement: cards[0]
+    }));
+  });
+
+  test('should extend the parent chain for deeper nesting', async () => {
+    const mockHandler = jest.fn();
+    cards[0].querySelector('.title').innerHTML = '<b>Apple</b>';
+
+    await walkVertically({
+      _scope_: scope,
+      '.card': {
+        '.title': {
+          'b': mockHandler
+        }
+      }
+    });
+
+    const title = cards[0].querySelector('.title');
+    expect(mockHandler).toHaveBeenCalledWith(expect.objectContaining({
+      element: title.querySelector('b'),
+      parents: [cards[0], title],
+      parentElement: title
+    }));
+  });
+
+  test('should inherit the parent exception handler', async () => {
+    const mockExceptionHandler = jest.fn().mockResolvedValue('error-handled');
+
+    const result = await walkVertically({
+      _scope_: scope,
+      '.card': {
+        '.title': () => {
+          throw new Error('Nested error');
+        }
+      },
+      __exeptionHandler__: mockExceptionHandler
+    });
+
+    expect(result).toEqual([['error-handled'], ['error-handled']]);
+    expect(mockExceptionHandler).toHaveBeenCalledWith(
+      expect.any(Error),
+      expect.objectContaining({ parentElement: cards[0] })
+    );
+  });
+
+  test('should prefer the nested exception handler over the inherited one', async () => {
+    const outerExceptionHandler = jest.fn();
+    const innerExceptionHandler = jest.fn().mockResolvedValue('inner-handled');
+
+    const result = await walkVertically({
+      _scope_: scope,
+      '.card': {
+        '.title': () => {
+          throw new Error('Nested error');
+        },
+        __exeptionHandler__: innerExceptionHandler
+      },
+      __exeptionHandler__: outerExceptionHandler
+    });
+
+    expect(result).toEqual([['inner-handled'], ['inner-handled']]);
+    expect(outerExceptionHandler).not.toHaveBeenCalled();
+  });
+
+  test('should inherit the parent concurrency limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const mockHandler = jest.fn().mockImplementation(async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+    });
+
+    await walkHorizontally({
+      _scope_: scope,
+      _concurrency_: 1,
+      '.card': {
+        '.title': mockHandler,
+        '.price': mockHandler
+      }
+    });
+
+    expect(mockHandler).toHaveBeenCalledTimes(4);
+    expect(maxInFlight).toBe(1);
+  });
+
+  test('should track nested lifecycle entries against the outermost scope', async () => {
+    const disconnected = jest.fn();
+
+    await walkHorizontally({
+      _scope_: scope,
+      '.card': {
+        '.title': { disconnected }
+      }
+    });
+    cards[0].remove();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(disconnected).toHaveBeenCalledTimes(1);
+    expect(disconnected).toHaveBeenCalledWith(expect.objectContaining({
+      parentElement: cards[0]
+    }));
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Explain Unit Tests
+ *
+ * This test suite validates the dry-run `explain` function. It resolves a
+ * config's selectors exactly like the walkers do, without calling any
+ * handlers, and reports what each selector matched.
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { explain } from '../src/Walker/Explain.js';
+import { ConfigError } from '../src/Walker/Config.js';
+
+describe('explain', () => {
+  let scope;
+  let plain;
+  let primary;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<button class="btn">Plain</button><button class="btn primary">Primary</button>';
+    [plain, primary] = scope.querySelectorAll('.btn');
+  });
+
+  test('should report matches per selector without calling handlers', () => {
+    const btn = jest.fn();
+    const primaryHandler = jest.fn();
+    const missing = jest.fn();
+
+    const report = explain({
+      _scope_: scope,
+      '.btn': btn,
+      '.primary': primaryHandler,
+      '.missing': missing
+    });
+
+    expect(report).toEqual({
+      selectors: {
+        '.btn': { elements: [plain, primary], count: 2, handled: [plain, primary] },
+        '.primary': { elements: [primary], count: 1, handled: [primary] },
+        '.missing': { elements: [], count: 0, handled: [] }
+      },
+      unmatched: ['.missing'],
+      overlaps: [{ element: primary, selectors: ['.btn', '.primary'] }]
+    });
+    expect(btn).not.toHaveBeenCalled();
+    expect(primaryHandler).not.toHaveBeenCalled();
+    expect(missing).not.toHaveBeenCalled();
+  });
+
+  test('should report which elements a duplicates policy hands to each selector', () => {
+    const report = explain({
+      _scope_: scope,
+      _duplicates_: 'priority',
+      _priority_: { '.primary': 1 },
+      '.btn': jest.fn(),
+      '.primary': jest.fn()
+    });
+
+    expect(report.selectors['.btn'].handled).toEqual([plain]);
+    expect(report.selectors['.primary'].handled).toEqual([primary]);
+    expect(report.overlaps).toHaveLength(1);
+  });
+
+  test('should explain nested configs for each handled element', () => {
+    scope.innerHTML = '<div class="card"><h2>A</h2></div><div class="card"></div>';
+    const [first, second] = scope.querySelectorAll('.card');
+
+    const report = explain({
+      _scope_: scope,
+      '.card': {
+        'h2': jest.fn()
+      }
+    });
+
+    expect(report.selectors['.card'].nested).toEqual([
+      {
+        element: first,
+        selectors: { 'h2': { elements: [first.firstChild], count: 1, handled: [first.firstChild] } },
+        unmatched: [],
+        overlaps: []
+      },
+      {
+        element: second,
+        selectors: { 'h2': { elements: [], count: 0, handled: [] } },
+        unmatched: ['h2'],
+        overlaps: []
+      }
+    ]);
+  });
+
+  test('should follow the same resolution options as the walkers', () => {
+    const host = document.createElement('x-card');
+    scope.appendChild(host);
+    host.attachShadow({ mode: 'open' }).innerHTML = '<button class="btn">Shadow</button>';
+
+    const report = explain({
+      _scope_: scope,
+      _pierceShadow_: true,
+      '.btn': jest.fn()
+    });
+
+    expect(report.selectors['.btn'].count).toBe(3);
+  });
+
+  test('should validate the config', () => {
+    expect(() => explain({ '.btn': jest.fn() })).toThrow(ConfigError);
+    expect(() => explain({ _scope_: scope, 'div[': jest.fn() })).toThrow(ConfigError);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * WalkHTML Unit Tests
+ *
+ * This test suite validates walking HTML strings with `walkHTML`. The string
+ * is parsed by a pluggable adapter, walked with either walker, and returned
+ * serialized along with the walk results.
+ */
+
+import { jest, describe, test, expect } from '@jest/globals';
+import { walkHTML } from '../src/Walker/Html.js';
+import { ConfigError } from '../src/Walker/Config.js';
+
+const config = {
+  '.price': ({ element }) => {
+    element.textContent = `$${element.textContent}`;
+    return element.textContent;
+  }
+};
+
+describe('walkHTML', () => {
+  test('should walk a fragment and return the mutated HTML', async () => {
+    const result = await walkHTML('<p class="price">10</p><p class="price">20</p>', config);
+
+    expect(result).toEqual({
+      results: ['$10', '$20'],
+      html: '<p class="price">$10</p><p class="price">$20</p>'
+    });
+  });
+
+  test('should keep head-level tags of fragments', async () => {
+    const result = await walkHTML('<title>T</title><meta charset="utf-8"><p class="price">10</p>', config);
+
+    expect(result.html).toBe('<title>T</title><meta charset="utf-8"><p class="price">$10</p>');
+  });
+
+  test('should serialize whole documents', async () => {
+    const result = await walkHTML('<!DOCTYPE html><html><head></head><body><p class="price">10</p></body></html>', config);
+
+    expect(result.html).toBe('<!DOCTYPE html><html><head></head><body><p class="price">$10</p></body></html>');
+  });
+
+  test('should walk vertically', async () => {
+    const order = [];
+
+    await walkHTML('<p class="a"></p><p class="b"></p>', {
+      '.b': () => order.push('b'),
+      '.a': () => order.push('a')
+    }, { mode: 'vertical' });
+
+    expect(order).toEqual(['b', 'a']);
+  });
+
+  test('should use the parsed document as scope', async () => {
+    const mockHandler = jest.fn();
+
+    await walkHTML('<p class="price">10</p>', { _scope_: document, '.price': mockHandler });
+
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+    expect(mockHandler.mock.calls[0][0].element.ownerDocument).not.toBe(document);
+  });
+
+  test('should parse with an adapter function', async () => {
+    const adapter = jest.fn(html => new DOMParser().parseFromString(html, 'text/html'));
+
+    const result = await walkHTML('<p class="price">10</p>', config, { adapter });
+
+    expect(adapter).toHaveBeenCalledWith('<p class="price">10</p>');
+    expect(result.html).toBe('<p class="price">$10</p>');
+  });
+
+  test('should accept any adapter whose document provides querySelectorAll', async () => {
+    const element = { textContent: '10' };
+    const adapter = {
+      parse: () => ({
+        querySelectorAll: selector => selector === '.price' ? [element] : []
+      }),
+      serialize: () => `<p class="price">${element.textContent}</p>`
+    };
+
+    const result = await walkHTML('<p class="price">10</p>', config, { adapter });
+
+    expect(result).toEqual({ results: ['$10'], html: '<p class="price">$10</p>' });
+  });
+
+  test('should walk in document order without DOM globals', async () => {
+    const { Node } = globalThis;
+    delete globalThis.Node;
+    try {
+      const result = await walkHTML('<p class="b"></p><p class="a"></p>', {
+        _order_: 'document',
+        '.a': () => 'a',
+        '.b': () => 'b'
+      });
+
+      expect(result.results).toEqual(['b', 'a']);
+    } finally {
+      globalThis.Node = Node;
+    }
+  });
+
+  test('should validate selectors against the parsed document without DOM globals', async () => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'document');
+    delete globalThis.document;
+    try {
+      const walking = walkHTML('<p class="price">10</p>', { 'p[': jest.fn(), 'xpath://p[': jest.fn() });
+
+      await expect(walking).rejects.toThrow(ConfigError);
+      expect((await walking.catch(ex => ex)).problems).toEqual([
+        'config: invalid selector "p["',
+        'config: invalid selector "xpath://p["'
+      ]);
+    } finally {
+      Object.defineProperty(globalThis, 'document', descriptor);
+    }
+  });
+
+  test('should not track lifecycle entries in documents without a window', async () => {
+    const disconnected = jest.fn();
+
+    const result = await walkHTML('<p class="price">10</p>', {
+      '.price': { connected: () => 'connected', disconnected }
+    });
+
+    expect(result.results).toEqual(['connected']);
+  });
+
+  test('should reject unknown modes', async () => {
+    await expect(walkHTML('', config, { mode: 'diagonal' })).rejects.toThrow(TypeError);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Hydrate Unit Tests
+ *
+ * This test suite validates attribute-driven behaviors. Handlers registered
+ * by name run for every element listing that name in its `data-walker`
+ * attribute, with the element's other `data-*` attributes parsed as options.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { behaviors, hydrate, optionsOf, register } from '../src/Walker/Hydrate.js';
+import { walkLive } from '../src/Walker/WalkLive.js';
+
+describe('optionsOf', () => {
+  test('should parse data attributes and prefer options prefixed with the behavior name', () => {
+    const element = document.createElement('div');
+    element.innerHTML = '<div data-walker="date-picker" data-min="2024" data-locale="en" data-open=\'{"left":true}\' data-date-picker-locale="de" data-zip="007"></div>';
+
+    expect(optionsOf(element.firstChild, 'date-picker')).toEqual({
+      min: 2024,
+      locale: 'de',
+      open: { left: true },
+      zip: '007'
+    });
+  });
+});
+
+describe('optionsOf with registered behaviors', () => {
+  test('should leave out options prefixed with another registered behavior', () => {
+    const unregister = [register('tooltip', () => {}), register('autosize', () => {})];
+    const element = document.createElement('div');
+    element.innerHTML = '<b data-walker="tooltip autosize" data-autosize-max="3" data-tooltip-text="Hi" data-size="2"></b>';
+
+    expect(optionsOf(element.firstChild, 'tooltip')).toEqual({ text: 'Hi', size: 2 });
+    expect(optionsOf(element.firstChild, 'autosize')).toEqual({ max: 3, size: 2 });
+    unregister.forEach(undo => undo());
+  });
+});
+
+describe('hydrate', () => {
+  let scope;
+  let unregister;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = `
+      <button data-walker="tooltip" data-tooltip-text="Save">Save</button>
+      <input data-walker="autosize tooltip" data-tooltip-text="Name" data-max="5">
+      <p data-walker="unknown">Plain</p>
+    `;
+    document.body.appendChild(scope);
+    unregister = [];
+  });
+
+  afterEach(() => {
+    unregister.forEach(undo => undo());
+    scope.remove();
+  });
+
+  test('should run registered handlers with parsed options', async () => {
+    const tooltip = jest.fn(({ element, options }) => `${element.tagName}:${options.text}`);
+    const autosize = jest.fn(({ options }) => options.max);
+    unregister.push(register('tooltip', tooltip), register('autosize', autosize));
+
+    const result = await hydrate(scope);
+
+    expect(result).toEqual(['BUTTON:Save', 'INPUT:Name', 5]);
+    expect(autosize).toHaveBeenCalledWith(expect.objectContaining({
+      element: scope.querySelector('input'),
+      name: 'autosize',
+      options: { max: 5 }
+    }));
+  });
+
+  test('should accept walker options', async () => {
+    const error = new Error('Handler error');
+    const mockExceptionHandler = jest.fn().mockResolvedValue('error-handled');
+    unregister.push(register('tooltip', () => {
+      throw error;
+    }));
+
+    const result = await hydrate(scope, { _results_: 'detailed', __exceptionHandler__: mockExceptionHandler });
+
+    expect(result['[data-walker~="tooltip"]']).toHaveLength(2);
+    expect(mockExceptionHandler).toHaveBeenCalledWith(error, expect.objectContaining({ name: 'tooltip' }));
+  });
+
+  test('should pass options to lifecycle entries', async () => {
+    const disconnected = jest.fn();
+    unregister.push(register('tooltip', {
+      connected: ({ options }) => options.text,
+      disconnected
+    }));
+
+    const result = await hydrate(scope);
+    expect(result).toEqual(['Save', 'Name']);
+
+    scope.querySelector('button').remove();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(disconnected).toHaveBeenCalledWith(expect.objectContaining({
+      options: { text: 'Save' }
+    }));
+  });
+
+  test('should not run behaviors twice for the same elements', async () => {
+    const tooltip = jest.fn(({ element }) => element.tagName);
+    unregister.push(register('tooltip', tooltip));
+
+    expect(await hydrate(scope)).toEqual(['BUTTON', 'INPUT']);
+    expect(await hydrate(scope)).toEqual([]);
+    expect(tooltip).toHaveBeenCalledTimes(2);
+
+    expect(await hydrate(scope, { _force_: true })).toEqual(['BUTTON', 'INPUT']);
+    expect(tooltip).toHaveBeenCalledTimes(4);
+  });
+
+  test('should hydrate inserted elements through walkLive', async () => {
+    const tooltip = jest.fn();
+    unregister.push(register('tooltip', tooltip));
+
+    const handle = await walkLive({ _scope_: scope, ...behaviors() });
+    const link = document.createElement('a');
+    link.dataset.walker = 'tooltip';
+    scope.appendChild(link);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    handle.stop();
+
+    expect(tooltip).toHaveBeenCalledTimes(3);
+    expect(tooltip).toHaveBeenLastCalledWith(expect.objectContaining({ element: link }));
+  });
+
+  test('should stop running a behavior once unregistered', async () => {
+    const tooltip = jest.fn();
+    register('tooltip', tooltip)();
+
+    await expect(hydrate(scope)).resolves.toEqual([]);
+    expect(tooltip).not.toHaveBeenCalled();
+  });
+
+  test('should reject invalid names and handlers', () => {
+    expect(() => register('two words', jest.fn())).toThrow(TypeError);
+    expect(() => register('tooltip', 'handler')).toThrow(TypeError);
+  });
+});
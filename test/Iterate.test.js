@@ -0,0 +1,125 @@
+/**
+ * Iterate Unit Tests
+ *
+ * This test suite validates streaming walk results through `iterate`. Results
+ * are yielded as each handler settles, in completion order for horizontal
+ * walks and in sequence order for vertical walks, and leaving the loop early
+ * stops any further handlers from being scheduled.
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { iterate } from '../src/Walker/Iterate.js';
+import { ConfigError } from '../src/Walker/Config.js';
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+};
+
+describe('iterate', () => {
+  let scope;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<span class="item" data-ms="30">A</span><span class="item" data-ms="10">B</span><span class="item" data-ms="20">C</span>';
+  });
+
+  const slowly = ({ element }) => delay(Number(element.dataset.ms), element.textContent);
+
+  test('should yield horizontal results in completion order', async () => {
+    const items = await collect(iterate({
+      _scope_: scope,
+      '.item': slowly
+    }));
+
+    expect(items.map(({ value }) => value)).toEqual(['B', 'C', 'A']);
+    expect(items[0]).toEqual({
+      element: scope.querySelectorAll('.item')[1],
+      selector: expect.any(String),
+      status: 'fulfilled',
+      value: 'B'
+    });
+    expect(String(items[0].selector)).toBe('.item');
+  });
+
+  test('should yield vertical results in sequence order', async () => {
+    const items = await collect(iterate({
+      _scope_: scope,
+      '.item': slowly
+    }, { mode: 'vertical' }));
+
+    expect(items.map(({ value }) => value)).toEqual(['A', 'B', 'C']);
+  });
+
+  test('should yield rejected handlers with the exception handler value', async () => {
+    const error = new Error('Handler error');
+
+    const items = await collect(iterate({
+      _scope_: scope,
+      '.item': () => {
+        throw error;
+      },
+      __exceptionHandler__: () => 'error-handled'
+    }, { mode: 'vertical' }));
+
+    expect(items).toHaveLength(3);
+    expect(items[0]).toEqual(expect.objectContaining({
+      status: 'rejected',
+      reason: error,
+      value: 'error-handled'
+    }));
+  });
+
+  test('should stop scheduling handlers after breaking out of the loop', async () => {
+    const mockHandler = jest.fn(slowly);
+
+    for await (const { value } of iterate({ _scope_: scope, '.item': mockHandler }, { mode: 'vertical' })) {
+      expect(value).toBe('A');
+      break;
+    }
+    await delay(50);
+
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stop scheduling horizontal handlers beyond _concurrency_', async () => {
+    const mockHandler = jest.fn(slowly);
+
+    for await (const item of iterate({ _scope_: scope, _concurrency_: 1, '.item': mockHandler })) {
+      break;
+    }
+    await delay(50);
+
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should abort the payload signal of running handlers', async () => {
+    const signals = [];
+
+    for await (const item of iterate({
+      _scope_: scope,
+      '.item': ({ element, signal }) => {
+        signals.push(signal);
+        return slowly({ element });
+      }
+    })) {
+      break;
+    }
+
+    expect(signals).toHaveLength(3);
+    expect(signals.every(signal => signal.aborted)).toBe(true);
+  });
+
+  test('should throw config errors from the loop', async () => {
+    await expect(collect(iterate({ '.item': jest.fn() }))).rejects.toThrow(ConfigError);
+  });
+
+  test('should reject unknown modes', async () => {
+    await expect(collect(iterate({ _scope_: scope }, { mode: 'diagonal' }))).rejects.toThrow(TypeError);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Lifecycle Unit Tests
+ *
+ * This test suite validates element lifecycle entries. A selector entry may be
+ * an object with `connected` and `disconnected` callbacks; once an element
+ * processed by a walker leaves the scope, its disposer and `disconnected`
+ * callback are invoked with the original payload.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+import { walkLive } from '../src/Walker/WalkLive.js';
+
+// Let the MutationObserver deliver its records and the callbacks settle
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Lifecycle entries', () => {
+  let scope;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = `
+      <div class="item">Item 1</div>
+      <div class="item">Item 2</div>
+    `;
+    document.body.appendChild(scope);
+  });
+
+  afterEach(() => {
+    scope.remove();
+  });
+
+  test('should call connected with the handler payload', async () => {
+    const connected = jest.fn().mockReturnValue('connected-result');
+    const config = {
+      _scope_: scope,
+      '.item': { connected }
+    };
+
+    const result = await walkHorizontally(config);
+
+    expect(result).toEqual(['connected-result', 'connected-result']);
+    expect(connected).toHaveBeenCalledWith({
+      element: scope.querySelector('.item'),
+      selector: expect.any(String),
+      self: config
+    });
+  });
+
+  test('should call disconnected when a processed element is removed', async () => {
+    const disconnected = jest.fn();
+    const config = {
+      _scope_: scope,
+      '.item': { connected: jest.fn(), disconnected }
+    };
+
+    await walkVertically(config);
+    const removed = scope.querySelector('.item');
+    removed.remove();
+    await flush();
+
+    expect(disconnected).toHaveBeenCalledTimes(1);
+    expect(disconnected).toHaveBeenCalledWith({
+      element: removed,
+      selector: expect.any(String),
+      self: config
+    });
+  });
+
+  test('should call disconnected when an ancestor is removed', async () => {
+    const disconnected = jest.fn();
+
+    await walkHorizontally({
+      _scope_: document.body,
+      '.item': { disconnected }
+    });
+    scope.remove();
+    await flush();
+
+    expect(disconnected).toHaveBeenCalledTimes(2);
+  });
+
+  test('should treat a function returned by connected as the disposer', async () => {
+    const calls = [];
+    const disposer = jest.fn(() => calls.push('dispose'));
+    const disconnected = jest.fn(() => calls.push('disconnected'));
+
+    await walkHorizontally({
+      _scope_: scope,
+      '.item': { connected: () => disposer, disconnected }
+    });
+    scope.querySelector('.item').remove();
+    await flush();
+
+    expect(disposer).toHaveBeenCalledTimes(1);
+    expect(calls).toEqual(['dispose', 'disconnected']);
+  });
+
+  test('should call disconnected when an element is removed from a shadow root', async () => {
+    const host = document.createElement('div');
+    host.attachShadow({ mode: 'open' }).innerHTML = '<span class="shadowed"></span>';
+    scope.appendChild(host);
+    const disconnected = jest.fn();
+
+    await walkHorizontally({
+      _scope_: scope,
+      _pierceShadow_: true,
+      '.shadowed': { disconnected }
+    });
+    host.shadowRoot.querySelector('.shadowed').remove();
+    await flush();
+
+    expect(disconnected).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not call disconnected when an element is moved within the scope', async () => {
+    const disconnected = jest.fn();
+
+    await walkHorizontally({
+      _scope_: scope,
+      '.item': { disconnected }
+    });
+    scope.appendChild(scope.querySelector('.item'));
+    await flush();
+
+    expect(disconnected).not.toHaveBeenCalled();
+  });
+
+  test('should call disconnected only once per processed element', async () => {
+    const disconnected = jest.fn();
+
+    await walkHorizontally({
+      _scope_: scope,
+      '.item': { disconnected }
+    });
+    const removed = scope.querySelector('.item');
+    removed.remove();
+    await flush();
+    scope.appendChild(removed);
+    removed.remove();
+    await flush();
+
+    expect(disconnected).toHaveBeenCalledTimes(1);
+  });
+
+  test('should track elements inserted during a live walk', async () => {
+    const disconnected = jest.fn();
+    const handle = await walkLive({
+      _scope_: scope,
+      '.item': { disconnected }
+    });
+
+    const inserted = document.createElement('div');
+    inserted.className = 'item';
+    scope.appendChild(inserted);
+    await flush();
+    inserted.remove();
+    await flush();
+    handle.stop();
+
+    expect(disconnected).toHaveBeenCalledTimes(1);
+    expect(disconnected).toHaveBeenCalledWith(
+      expect.objectContaining({ element: inserted })
+    );
+  });
+
+  test('should route disconnected errors to the exception handler', async () => {
+    const mockExceptionHandler = jest.fn();
+
+    await walkHorizontally({
+      _scope_: scope,
+      '.item': {
+        disconnected: () => {
+          throw new Error('Teardown error');
+        }
+      },
+      __exeptionHandler__: mockExceptionHandler
+    });
+    scope.querySelector('.item').remove();
+    await flush();
+
+    expect(mockExceptionHandler).toHaveBeenCalledWith(
+      expect.any(Error),
+      expect.objectContaining({ selector: expect.any(String) })
+    );
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Query Adapter Unit Tests
+ *
+ * This test suite validates walking non-DOM trees through the `_adapter_`
+ * option, using both a custom adapter and the bundled `objectAdapter`, which
+ * resolves a small path syntax against plain JavaScript objects.
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+import { explain } from '../src/Walker/Explain.js';
+import { objectAdapter } from '../src/Walker/ObjectAdapter.js';
+import { ConfigError } from '../src/Walker/Config.js';
+
+describe('objectAdapter', () => {
+  let data;
+
+  beforeEach(() => {
+    data = {
+      site: { title: 'Docs', theme: 'dark' },
+      users: [
+        { name: 'Ada', role: 'admin', address: { city: 'London' } },
+        { name: 'Alan', role: 'user' }
+      ]
+    };
+  });
+
+  const values = (selector) => objectAdapter.query(data, selector).map(({ element }) => element);
+
+  test('should resolve dotted paths and array indices', () => {
+    expect(values('site.title')).toEqual(['Docs']);
+    expect(values('users.1.name')).toEqual(['Alan']);
+    expect(values('site.missing')).toEqual([]);
+  });
+
+  test('should match any key with * and any depth with **', () => {
+    expect(values('users.*.name')).toEqual(['Ada', 'Alan']);
+    expect(values('**.city')).toEqual(['London']);
+    expect(values('**.name')).toEqual(['Ada', 'Alan']);
+  });
+
+  test('should filter by key presence and value', () => {
+    expect(values('users.*[role=admin].name')).toEqual(['Ada']);
+    expect(values('users.*[address]')).toEqual([data.users[0]]);
+    expect(values('**[role=user]')).toEqual([data.users[1]]);
+  });
+
+  test('should report the path, parent and key of each match', () => {
+    expect(objectAdapter.query(data, 'users.*.name')[1]).toEqual({
+      element: 'Alan',
+      path: ['users', 1, 'name'],
+      parent: data.users[1],
+      key: 'name'
+    });
+  });
+
+  test('should never match the scope itself and survive cycles', () => {
+    data.self = data;
+
+    expect(values('**')).not.toContain(data);
+    expect(values('**.title')).toEqual(['Docs']);
+  });
+
+  test('should validate selectors', () => {
+    expect(objectAdapter.isValidSelector('users.*[role=admin].name')).toBe(true);
+    expect(objectAdapter.isValidSelector('users.')).toBe(false);
+    expect(objectAdapter.isValidSelector('users[]')).toBe(false);
+    expect(objectAdapter.isValidSelector('')).toBe(false);
+  });
+
+  test('should compare matches in tree order', () => {
+    const [title, name] = [...objectAdapter.query(data, 'users.0.name'), ...objectAdapter.query(data, 'site.title')]
+      .sort((a, b) => objectAdapter.compare(a, b, data));
+
+    expect(title.element).toBe('Docs');
+    expect(name.element).toBe('Ada');
+  });
+});
+
+describe.each([
+  ['walkHorizontally', walkHorizontally],
+  ['walkVertically', walkVertically]
+])('%s with _adapter_', (name, walk) => {
+  let data;
+
+  beforeEach(() => {
+    data = {
+      site: { title: 'Docs' },
+      users: [{ name: 'Ada', role: 'admin' }, { name: 'Alan', role: 'user' }]
+    };
+  });
+
+  test('should walk plain objects with objectAdapter', async () => {
+    const result = await walk({
+      _scope_: data,
+      _adapter_: objectAdapter,
+      'users.*.name': ({ element, parent, key }) => {
+        parent[key] = element.toUpperCase();
+        return element;
+      }
+    });
+
+    expect(result).toEqual(['Ada', 'Alan']);
+    expect(data.users.map(user => user.name)).toEqual(['ADA', 'ALAN']);
+  });
+
+  test('should walk nested configs with the inherited adapter', async () => {
+    const result = await walk({
+      _scope_: data,
+      _adapter_: objectAdapter,
+      'users.*[role=admin]': {
+        'name': ({ element, parentElement }) => `${element} (${parentElement.role})`
+      }
+    });
+
+    expect(result).toEqual([['Ada (admin)']]);
+  });
+
+  test('should visit matches in tree order with _order_: "document"', async () => {
+    const result = await walk({
+      _scope_: data,
+      _adapter_: objectAdapter,
+      _order_: 'document',
+      'users.*.name': ({ element }) => element,
+      'site.title': ({ element }) => element
+    });
+
+    expect(result).toEqual(['Docs', 'Ada', 'Alan']);
+  });
+
+  test('should apply _duplicates_ per node rather than per value', async () => {
+    const a = jest.fn(({ element }) => `a:${element}`);
+    const b = jest.fn(({ element }) => `b:${element}`);
+
+    const result = await walk({
+      _scope_: { a: 'x', b: 'x', list: [1, 1, 2] },
+      _adapter_: objectAdapter,
+      _duplicates_: 'first',
+      'a': a,
+      'b': b,
+      'list.*': ({ key }) => key
+    });
+
+    expect(result).toEqual(['a:x', 'b:x', 0, 1, 2]);
+  });
+
+  test('should query through any adapter', async () => {
+    const leaf = { type: 'text', value: 'Hello' };
+    const adapter = {
+      query: jest.fn((scope, selector) => scope.children
+        .filter(child => child.type === selector)
+        .map(child => ({ element: child }))
+      )
+    };
+
+    const result = await walk({
+      _scope_: { children: [leaf] },
+      _adapter_: adapter,
+      'text': ({ element }) => element.value
+    });
+
+    expect(result).toEqual(['Hello']);
+    expect(adapter.query).toHaveBeenCalledWith({ children: [leaf] }, 'text');
+  });
+
+  test('should validate selectors with the adapter', async () => {
+    const walking = walk({
+      _scope_: data,
+      _adapter_: objectAdapter,
+      'users.': jest.fn(),
+      'users': {
+        '[': jest.fn()
+      }
+    });
+
+    await expect(walking).rejects.toThrow(ConfigError);
+    expect((await walking.catch(ex => ex)).problems).toEqual([
+      'config: invalid selector "users."',
+      'config > "users": invalid selector "["'
+    ]);
+  });
+});
+
+describe('explain with _adapter_', () => {
+  test('should resolve selectors through the adapter', () => {
+    const report = explain({
+      _scope_: { a: { b: 1 }, c: { b: 2 } },
+      _adapter_: objectAdapter,
+      '*.b': jest.fn(),
+      'd': jest.fn()
+    });
+
+    expect(report.selectors['*.b'].elements).toEqual([1, 2]);
+    expect(report.unmatched).toEqual(['d']);
+  });
+
+  test('should not report equal values at different paths as overlaps', () => {
+    const report = explain({
+      _scope_: { a: 'x', b: 'x' },
+      _adapter_: objectAdapter,
+      'a': jest.fn(),
+      'b': jest.fn(),
+      '*': jest.fn()
+    });
+
+    expect(report.overlaps).toEqual([
+      { element: 'x', selectors: ['a', '*'] },
+      { element: 'x', selectors: ['b', '*'] }
+    ]);
+  });
+});
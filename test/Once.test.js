@@ -0,0 +1,115 @@
+/**
+ * Idempotent Walk Unit Tests
+ *
+ * This test suite validates the `_once_` and `_key_` options. Walks using them
+ * remember which element and selector pairs were handled and skip them when
+ * walked again, unless forced or reset.
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+import { reset } from '../src/Walker/Once.js';
+
+describe.each([
+  ['walkHorizontally', walkHorizontally],
+  ['walkVertically', walkVertically]
+])('%s idempotent walks', (name, walk) => {
+  let scope;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<span class="item">A</span><span class="item">B</span>';
+  });
+
+  const append = (text) => {
+    const item = document.createElement('span');
+    item.className = 'item';
+    item.textContent = text;
+    scope.appendChild(item);
+    return item;
+  };
+
+  test('should process every element again by default', async () => {
+    const mockHandler = jest.fn();
+    const config = { _scope_: scope, '.item': mockHandler };
+
+    await walk(config);
+    await walk(config);
+
+    expect(mockHandler).toHaveBeenCalledTimes(4);
+  });
+
+  test('should skip elements already handled with the same config and _once_', async () => {
+    const config = {
+      _scope_: scope,
+      _once_: true,
+      '.item': ({ element }) => element.textContent
+    };
+
+    expect(await walk(config)).toEqual(['A', 'B']);
+    append('C');
+    expect(await walk(config)).toEqual(['C']);
+    expect(await walk({ ...config })).toEqual(['A', 'B', 'C']);
+  });
+
+  test('should share processed elements between configs with the same _key_', async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    const other = jest.fn();
+
+    await walk({ _scope_: scope, _key_: 'widgets', '.item': first });
+    await walk({ _scope_: scope, _key_: 'widgets', '.item': second, 'span': second });
+    await walk({ _scope_: scope, _key_: 'other', '.item': other });
+
+    expect(first).toHaveBeenCalledTimes(2);
+    expect(second).toHaveBeenCalledTimes(2);
+    expect(second.mock.calls.every(([{ selector }]) => String(selector) === 'span')).toBe(true);
+    expect(other).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reprocess elements with _force_', async () => {
+    const mockHandler = jest.fn();
+
+    await walk({ _scope_: scope, _key_: 'widgets', '.item': mockHandler });
+    await walk({ _scope_: scope, _key_: 'widgets', _force_: true, '.item': mockHandler });
+    await walk({ _scope_: scope, _key_: 'widgets', '.item': mockHandler });
+
+    expect(mockHandler).toHaveBeenCalledTimes(4);
+  });
+
+  test('should process elements again once reset', async () => {
+    const mockHandler = jest.fn();
+    const config = { _scope_: scope, _once_: true, '.item': mockHandler };
+    const [first, second] = scope.querySelectorAll('.item');
+
+    await walk({ _scope_: scope, _key_: 'widgets', '.item': mockHandler });
+    await walk(config);
+    reset(first, 'widgets');
+    reset(second);
+    mockHandler.mockClear();
+
+    await walk({ _scope_: scope, _key_: 'widgets', '.item': mockHandler });
+    expect(mockHandler.mock.calls.map(([{ element }]) => element)).toEqual([first, second]);
+
+    mockHandler.mockClear();
+    await walk(config);
+    expect(mockHandler.mock.calls.map(([{ element }]) => element)).toEqual([second]);
+  });
+
+  test('should retry elements whose handler failed', async () => {
+    const mockHandler = jest.fn()
+      .mockRejectedValueOnce(new Error('Handler error'))
+      .mockResolvedValue('processed');
+    const config = {
+      _scope_: scope,
+      _once_: true,
+      '.item:first-child': mockHandler,
+      __exceptionHandler__: () => 'error-handled'
+    };
+
+    expect(await walk(config)).toEqual(['error-handled']);
+    expect(await walk(config)).toEqual(['processed']);
+    expect(await walk(config)).toEqual([]);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Plugins Unit Tests
+ *
+ * This test suite validates plugins registered with `use` or listed in
+ * `_plugins_`. Plugins observe each walk through their lifecycle hooks and can
+ * wrap every handler call as middleware.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+import { use } from '../src/Walker/Plugins.js';
+import { ConfigError } from '../src/Walker/Config.js';
+
+describe.each([
+  ['walkHorizontally', walkHorizontally],
+  ['walkVertically', walkVertically]
+])('%s with plugins', (name, walk) => {
+  let scope;
+  let error;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<span class="item">A</span><p class="broken">B</p>';
+    error = new Error('Handler error');
+  });
+
+  const config = (extra = {}) => ({
+    _scope_: scope,
+    '.item': ({ element }) => element.textContent,
+    '.broken': () => {
+      throw error;
+    },
+    __exceptionHandler__: () => 'error-handled',
+    ...extra
+  });
+
+  test('should call every hook around the walk and its handlers', async () => {
+    const calls = [];
+    const plugin = {
+      beforeWalk: ({ walker }) => calls.push(['beforeWalk', walker]),
+      beforeEach: ({ selector }) => calls.push(['beforeEach', String(selector)]),
+      afterEach: ({ selector }, value) => calls.push(['afterEach', String(selector), value]),
+      onError: (ex, { selector }) => calls.push(['onError', String(selector), ex]),
+      afterWalk: ({ results }) => calls.push(['afterWalk', results])
+    };
+
+    const result = await walk(config({ _plugins_: [plugin] }));
+
+    expect(result).toEqual(['A', 'error-handled']);
+    expect(calls[0]).toEqual(['beforeWalk', name]);
+    expect(calls).toContainEqual(['beforeEach', '.item']);
+    expect(calls).toContainEqual(['afterEach', '.item', 'A']);
+    expect(calls).toContainEqual(['beforeEach', '.broken']);
+    expect(calls).toContainEqual(['onError', '.broken', error]);
+    expect(calls).toHaveLength(6);
+    expect(calls[5]).toEqual(['afterWalk', ['A', 'error-handled']]);
+  });
+
+  test('should wrap handlers as middleware in plugin order', async () => {
+    const order = [];
+    const outer = {
+      handler: async (payload, next) => {
+        order.push('outer');
+        return `[${await next()}]`;
+      }
+    };
+    const inner = {
+      handler: async (payload, next) => {
+        order.push('inner');
+        return (await next()).toLowerCase();
+      }
+    };
+
+    const result = await walk({
+      _scope_: scope,
+      _plugins_: [outer, inner],
+      '.item': ({ element }) => element.textContent
+    });
+
+    expect(result).toEqual(['[a]']);
+    expect(order).toEqual(['outer', 'inner']);
+  });
+
+  test('should let middleware skip handlers', async () => {
+    const mockHandler = jest.fn();
+    const gate = {
+      handler: (payload, next) => payload.element.matches('.item') ? 'disabled' : next()
+    };
+
+    const result = await walk({
+      _scope_: scope,
+      _plugins_: [gate],
+      '.item': mockHandler
+    });
+
+    expect(result).toEqual(['disabled']);
+    expect(mockHandler).not.toHaveBeenCalled();
+  });
+
+  test('should pass plugins on to nested configs', async () => {
+    const beforeEach = jest.fn();
+
+    await walk({
+      _scope_: scope,
+      _plugins_: [{ beforeEach }],
+      'span': {
+        '*': jest.fn()
+      }
+    });
+
+    expect(beforeEach).toHaveBeenCalledTimes(1);
+    expect(beforeEach).toHaveBeenCalledWith(expect.objectContaining({
+      element: scope.querySelector('span')
+    }));
+  });
+
+  test('should treat hook errors as handler errors', async () => {
+    const mockExceptionHandler = jest.fn().mockResolvedValue('error-handled');
+
+    const result = await walk({
+      _scope_: scope,
+      _plugins_: [{
+        beforeEach: () => {
+          throw error;
+        }
+      }],
+      '.item': jest.fn(),
+      __exceptionHandler__: mockExceptionHandler
+    });
+
+    expect(result).toEqual(['error-handled']);
+    expect(mockExceptionHandler).toHaveBeenCalledWith(error, expect.any(Object));
+  });
+
+  test('should reject plugins that are not objects', async () => {
+    await expect(walk(config({ _plugins_: ['logger'] }))).rejects.toThrow(ConfigError);
+  });
+});
+
+describe('use', () => {
+  let scope;
+  let unregister;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<span class="item">A</span>';
+  });
+
+  afterEach(() => {
+    unregister?.();
+    unregister = undefined;
+  });
+
+  test('should apply registered plugins to every walk before config plugins', async () => {
+    const order = [];
+    unregister = use({ beforeWalk: () => order.push('global') });
+
+    await walkVertically({
+      _scope_: scope,
+      _plugins_: [{ beforeWalk: () => order.push('config') }],
+      '.item': jest.fn()
+    });
+    await walkHorizontally({ _scope_: scope, '.item': jest.fn() });
+
+    expect(order).toEqual(['global', 'config', 'global']);
+  });
+
+  test('should stop applying a plugin once unregistered', async () => {
+    const beforeWalk = jest.fn();
+    use({ beforeWalk })();
+
+    await walkHorizontally({ _scope_: scope, '.item': jest.fn() });
+
+    expect(beforeWalk).not.toHaveBeenCalled();
+  });
+
+  test('should reject plugins that are not objects', () => {
+    expect(() => use(() => {})).toThrow(TypeError);
+  });
+});
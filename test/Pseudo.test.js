@@ -0,0 +1,158 @@
+/**
+ * Pseudo-class Unit Tests
+ *
+ * This test suite validates custom pseudo-classes. Config keys using a
+ * registered pseudo-class are queried with their native base selector and
+ * filtered with the pseudo-class predicate.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+import { walkLive } from '../src/Walker/WalkLive.js';
+import { definePseudo, splitPseudo } from '../src/Walker/Pseudo.js';
+import { ConfigError } from '../src/Walker/Config.js';
+
+describe('splitPseudo', () => {
+  test('should separate custom pseudo-classes from the native base selector', () => {
+    const { base, filters } = splitPseudo('tr.row:not(.head):contains("Total, net"):visible');
+
+    expect(base).toBe('tr.row:not(.head)');
+    expect(filters.map(({ name, argument }) => [name, argument])).toEqual([
+      ['contains', 'Total, net'],
+      ['visible', undefined]
+    ]);
+  });
+
+  test('should default the base selector to every element', () => {
+    expect(splitPseudo(':visible').base).toBe('*');
+    expect(splitPseudo('ul > :visible').base).toBe('ul > *');
+  });
+
+  test('should leave native selectors and quoted text untouched', () => {
+    expect(splitPseudo('a:hover, [title=":visible"]')).toEqual({
+      base: 'a:hover, [title=":visible"]',
+      filters: []
+    });
+  });
+
+  test('should only accept custom pseudo-classes in the last compound selector', () => {
+    expect(() => splitPseudo('.row:contains(Total) td')).toThrow(SyntaxError);
+    expect(() => splitPseudo('a:visible, b')).toThrow(SyntaxError);
+  });
+});
+
+describe.each([
+  ['walkHorizontally', walkHorizontally],
+  ['walkVertically', walkVertically]
+])('%s with custom pseudo-classes', (name, walk) => {
+  let scope;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = `
+      <p class="row">Subtotal</p>
+      <p class="row">  TOTAL
+        due </p>
+      <p class="row" style="display: none">Total hidden</p>
+      <a href="/docs">Docs</a>
+      <a href="https://example.com/">Example</a>
+      <input value=""><input value="filled">
+    `;
+    document.body.appendChild(scope);
+  });
+
+  afterEach(() => {
+    scope.remove();
+  });
+
+  const text = ({ element }) => element.textContent.trim();
+
+  test('should filter with the built-in pseudo-classes', async () => {
+    const result = await walk({
+      _scope_: scope,
+      '.row:contains("total")': text,
+      '.row:has-text("total due"):visible': text,
+      'a:external': text,
+      'input:empty-value': ({ element }) => element.outerHTML
+    });
+
+    expect(result).toEqual(['Subtotal', 'TOTAL\n        due', 'Example', '<input value="">']);
+  });
+
+  test('should not treat malformed links as external', async () => {
+    const link = document.createElement('a');
+    link.setAttribute('href', 'http://[');
+    link.textContent = 'Broken';
+    scope.appendChild(link);
+
+    const result = await walk({
+      _scope_: scope,
+      'a:external': text
+    });
+
+    expect(result).toEqual(['Example']);
+  });
+
+  test('should filter with registered pseudo-classes', async () => {
+    const undefine = definePseudo('longer-than', (element, length) => element.textContent.trim().length > Number(length));
+
+    const result = await walk({
+      _scope_: scope,
+      '.row:longer-than(8)': text
+    });
+
+    expect(result).toEqual(['TOTAL\n        due', 'Total hidden']);
+    undefine();
+  });
+
+  test('should report misplaced and unknown pseudo-classes as config errors', async () => {
+    const walking = walk({
+      _scope_: scope,
+      '.row:contains(Total) span': jest.fn(),
+      '.row:unknown': jest.fn()
+    });
+
+    await expect(walking).rejects.toThrow(ConfigError);
+    expect((await walking.catch(ex => ex)).problems).toEqual([
+      'config: invalid selector ".row:contains(Total) span"',
+      'config: invalid selector ".row:unknown"'
+    ]);
+  });
+});
+
+describe('definePseudo', () => {
+  test('should reject native pseudo-classes and invalid arguments', () => {
+    expect(() => definePseudo('hover', () => true)).toThrow(TypeError);
+    expect(() => definePseudo('not', () => true)).toThrow(TypeError);
+    expect(() => definePseudo('bad name', () => true)).toThrow(TypeError);
+    expect(() => definePseudo('fine', 'yes')).toThrow(TypeError);
+  });
+
+  test('should stop matching once undefined', async () => {
+    const scope = document.createElement('div');
+    scope.innerHTML = '<p>A</p>';
+    definePseudo('always', () => true)();
+
+    await expect(walkVertically({ _scope_: scope, 'p:always': jest.fn() })).rejects.toThrow(ConfigError);
+  });
+
+  test('should apply to elements inserted into a live walk', async () => {
+    const scope = document.createElement('div');
+    document.body.appendChild(scope);
+    const mockHandler = jest.fn();
+    const handle = await walkLive({ _scope_: scope, 'p:contains(new)': mockHandler });
+
+    const old = document.createElement('p');
+    old.textContent = 'old';
+    const inserted = document.createElement('p');
+    inserted.textContent = 'new';
+    scope.append(old, inserted);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+    expect(mockHandler).toHaveBeenCalledWith(expect.objectContaining({ element: inserted }));
+    handle.stop();
+    scope.remove();
+  });
+});
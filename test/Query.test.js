@@ -0,0 +1,350 @@
+/**
+ * Query Unit Tests
+ *
+ * This test suite validates how the walkers resolve selectors within the
+ * scope, including the `_pierceShadow_` option that extends the query into
+ * open shadow roots.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+import { compareDocumentOrder } from '../src/Walker/Query.js';
+
+describe('Shadow DOM piercing', () => {
+  let scope;
+  let host;
+  let innerHost;
+  let closedHost;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<span class="item">Light</span><x-card></x-card><x-closed></x-closed>';
+    document.body.appendChild(scope);
+
+    host = scope.querySelector('x-card');
+    host.attachShadow({ mode: 'open' }).innerHTML = '<span class="item">Shadow</span><x-badge></x-badge>';
+
+    innerHost = host.shadowRoot.querySelector('x-badge');
+    innerHost.attachShadow({ mode: 'open' }).innerHTML = '<span class="item">Nested shadow</span>';
+
+    closedHost = scope.querySelector('x-closed');
+    closedHost.attachShadow({ mode: 'closed' }).innerHTML = '<span class="item">Closed</span>';
+  });
+
+  afterEach(() => {
+    scope.remove();
+  });
+
+  test('should not enter shadow roots by default', async () => {
+    const result = await walkVertically({
+      _scope_: scope,
+      '.item': ({ element }) => element.textContent
+    });
+
+    expect(result).toEqual(['Light']);
+  });
+
+  test('should walk open shadow roots recursively with _pierceShadow_', async () => {
+    const result = await walkVertically({
+      _scope_: scope,
+      _pierceShadow_: true,
+      '.item': ({ element }) => element.textContent
+    });
+
+    expect(result).toEqual(['Light', 'Shadow', 'Nested shadow']);
+  });
+
+  test('should report the shadow host in the payload', async () => {
+    const mockHandler = jest.fn();
+    const config = {
+      _scope_: scope,
+      _pierceShadow_: true,
+      '.item': mockHandler
+    };
+
+    await walkHorizontally(config);
+
+    expect(mockHandler).toHaveBeenCalledWith({
+      element: scope.querySelector('.item'),
+      selector: expect.any(String),
+      self: config
+    });
+    expect(mockHandler).toHaveBeenCalledWith({
+      element: host.shadowRoot.querySelector('.item'),
+      selector: expect.any(String),
+      self: config,
+      shadowHost: host
+    });
+    expect(mockHandler).toHaveBeenCalledWith({
+      element: innerHost.shadowRoot.querySelector('.item'),
+      selector: expect.any(String),
+      self: config,
+      shadowHost: innerHost
+    });
+  });
+
+  test('should include the shadow root of the scope itself', async () => {
+    const result = await walkHorizontally({
+      _scope_: host,
+      _pierceShadow_: true,
+      '.item': ({ element }) => element.textContent
+    });
+
+    expect(result).toEqual(['Shadow', 'Nested shadow']);
+  });
+
+  test('should pierce shadow roots within nested configs', async () => {
+    const result = await walkVertically({
+      _scope_: scope,
+      _pierceShadow_: true,
+      'x-card': {
+        '.item': ({ element }) => element.textContent
+      }
+    });
+
+    expect(result).toEqual([['Shadow', 'Nested shadow']]);
+  });
+});
+
+describe('Frame traversal', () => {
+  let scope;
+  let frame;
+  let innerFrame;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<span class="item">Top</span><iframe></iframe>';
+    document.body.appendChild(scope);
+
+    frame = scope.querySelector('iframe');
+    frame.contentDocument.body.innerHTML = '<span class="item">Frame</span><iframe></iframe>';
+
+    innerFrame = frame.contentDocument.querySelector('iframe');
+    innerFrame.contentDocument.body.innerHTML = '<span class="item">Inner frame</span>';
+  });
+
+  afterEach(() => {
+    scope.remove();
+  });
+
+  test('should not enter frames by default', async () => {
+    const result = await walkVertically({
+      _scope_: scope,
+      '.item': ({ element }) => element.textContent
+    });
+
+    expect(result).toEqual(['Top']);
+  });
+
+  test('should walk same-origin frame documents recursively with _frames_', async () => {
+    const result = await walkVertically({
+      _scope_: scope,
+      _frames_: true,
+      '.item': ({ element }) => element.textContent
+    });
+
+    expect(result).toEqual(['Top', 'Frame', 'Inner frame']);
+  });
+
+  test('should report the owning frame in the payload', async () => {
+    const mockHandler = jest.fn();
+    const config = {
+      _scope_: scope,
+      _frames_: true,
+      '.item': mockHandler
+    };
+
+    await walkHorizontally(config);
+
+    expect(mockHandler).toHaveBeenCalledWith({
+      element: frame.contentDocument.querySelector('.item'),
+      selector: expect.any(String),
+      self: config,
+      frame: frame
+    });
+    expect(mockHandler).toHaveBeenCalledWith({
+      element: innerFrame.contentDocument.querySelector('.item'),
+      selector: expect.any(String),
+      self: config,
+      frame: innerFrame
+    });
+  });
+
+  test('should skip and report frames whose document is not accessible', async () => {
+    Object.defineProperty(frame, 'contentDocument', { get: () => null });
+    const onSkippedFrame = jest.fn();
+    const config = {
+      _scope_: scope,
+      _frames_: true,
+      _onSkippedFrame_: onSkippedFrame,
+      '.item': ({ element }) => element.textContent
+    };
+
+    const result = await walkHorizontally(config);
+
+    expect(result).toEqual(['Top']);
+    expect(onSkippedFrame).toHaveBeenCalledWith({ frame: frame, self: config });
+  });
+
+  test('should skip frames whose document access throws', async () => {
+    Object.defineProperty(frame, 'contentDocument', {
+      get: () => {
+        throw new Error('SecurityError');
+      }
+    });
+    const onSkippedFrame = jest.fn();
+
+    const result = await walkVertically({
+      _scope_: scope,
+      _frames_: true,
+      _onSkippedFrame_: onSkippedFrame,
+      '.item': ({ element }) => element.textContent
+    });
+
+    expect(result).toEqual(['Top']);
+    expect(onSkippedFrame).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not disconnect frame elements when unrelated nodes are removed', async () => {
+    const disconnected = jest.fn();
+    scope.appendChild(document.createElement('p'));
+
+    await walkHorizontally({
+      _scope_: scope,
+      _frames_: true,
+      '.item': { disconnected }
+    });
+    scope.querySelector('p').remove();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(disconnected).not.toHaveBeenCalled();
+
+    frame.remove();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(disconnected).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('compareDocumentOrder', () => {
+  let scope;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<p class="first"></p><x-card></x-card><iframe></iframe><p class="last"></p>';
+    document.body.appendChild(scope);
+  });
+
+  afterEach(() => {
+    scope.remove();
+  });
+
+  test('should order elements across shadow roots and frames as they appear on the page', () => {
+    const host = scope.querySelector('x-card');
+    host.attachShadow({ mode: 'open' }).innerHTML = '<span></span>';
+    const frame = scope.querySelector('iframe');
+    frame.contentDocument.body.innerHTML = '<span></span>';
+
+    const first = scope.querySelector('.first');
+    const shadowed = host.shadowRoot.querySelector('span');
+    const framed = frame.contentDocument.querySelector('span');
+    const last = scope.querySelector('.last');
+
+    const sorted = [last, framed, host, shadowed, first].sort(compareDocumentOrder);
+
+    expect(sorted).toEqual([first, host, shadowed, framed, last]);
+  });
+});
+
+describe('Duplicate matches', () => {
+  let scope;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<button class="btn">Plain</button><button class="btn primary">Primary</button>';
+  });
+
+  test('should call every matching handler by default', async () => {
+    const btn = jest.fn();
+    const primary = jest.fn();
+
+    await walkHorizontally({
+      _scope_: scope,
+      '.btn': btn,
+      '.btn.primary': primary
+    });
+
+    expect(btn).toHaveBeenCalledTimes(2);
+    expect(primary).toHaveBeenCalledTimes(1);
+    expect(btn.mock.calls[0][0]).not.toHaveProperty('matchedSelectors');
+  });
+
+  test('should list all matched selectors with _duplicates_: "all"', async () => {
+    const primary = jest.fn();
+
+    await walkVertically({
+      _scope_: scope,
+      _duplicates_: 'all',
+      '.btn': jest.fn(),
+      '.btn.primary': primary
+    });
+
+    expect(primary).toHaveBeenCalledWith(expect.objectContaining({
+      matchedSelectors: ['.btn', '.btn.primary']
+    }));
+  });
+
+  test('should only call the first matching key with _duplicates_: "first"', async () => {
+    const btn = jest.fn();
+    const primary = jest.fn();
+
+    const result = await walkVertically({
+      _scope_: scope,
+      _duplicates_: 'first',
+      '.btn': ({ element }) => btn(element.textContent),
+      '.btn.primary': primary
+    });
+
+    expect(btn.mock.calls).toEqual([['Plain'], ['Primary']]);
+    expect(primary).not.toHaveBeenCalled();
+    expect(result).toHaveLength(2);
+  });
+
+  test('should call the highest priority key with _duplicates_: "priority"', async () => {
+    const btn = jest.fn();
+    const primary = jest.fn();
+
+    await walkHorizontally({
+      _scope_: scope,
+      _duplicates_: 'priority',
+      _priority_: { '.btn.primary': 10 },
+      '.btn': btn,
+      '.btn.primary': primary
+    });
+
+    expect(btn).toHaveBeenCalledTimes(1);
+    expect(btn).toHaveBeenCalledWith(expect.objectContaining({
+      element: scope.querySelector('.btn'),
+      matchedSelectors: ['.btn']
+    }));
+    expect(primary).toHaveBeenCalledTimes(1);
+    expect(primary).toHaveBeenCalledWith(expect.objectContaining({
+      matchedSelectors: ['.btn', '.btn.primary']
+    }));
+  });
+
+  test('should fall back to config order for equal priorities', async () => {
+    const btn = jest.fn();
+    const primary = jest.fn();
+
+    await walkVertically({
+      _scope_: scope,
+      _duplicates_: 'priority',
+      _priority_: { '.btn': 1, '.btn.primary': 1 },
+      '.btn': btn,
+      '.btn.primary': primary
+    });
+
+    expect(btn).toHaveBeenCalledTimes(2);
+    expect(primary).not.toHaveBeenCalled();
+  });
+});
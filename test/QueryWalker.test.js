@@ -7,7 +7,7 @@
  */
 
 import { jest, describe, test, expect, beforeEach } from '@jest/globals';
-import { QueryWalker } from '../src/querywalker.js';
+import { QueryWalker, ConfigError, TimeoutError, objectAdapter } from '../src/querywalker.js';
 
 describe('QueryWalker', () => {
   let mockScope;
@@ -41,17 +41,53 @@ describe('QueryWalker', () => {
       expect(typeof QueryWalker.walkVertically).toBe('function');
     });
 
+    test('should export walkLive function', () => {
+      expect(QueryWalker.walkLive).toBeDefined();
+      expect(typeof QueryWalker.walkLive).toBe('function');
+    });
+
+    test('should export iterate function', () => {
+      expect(QueryWalker.iterate).toBeDefined();
+      expect(QueryWalker.iterate.constructor.name).toBe('AsyncGeneratorFunction');
+    });
+
     test('should have both walker functions as async functions', () => {
       // Verify that both exported functions are async functions
       expect(QueryWalker.walkHorizontally.constructor.name).toBe('AsyncFunction');
       expect(QueryWalker.walkVertically.constructor.name).toBe('AsyncFunction');
     });
 
+    test('should export TimeoutError as a named export', () => {
+      expect(new TimeoutError('timed out')).toBeInstanceOf(Error);
+      expect(new TimeoutError('timed out').name).toBe('TimeoutError');
+    });
+
+    test('should export ConfigError as a named export', () => {
+      const error = new ConfigError(['config: unknown option "_x_"']);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.problems).toEqual(['config: unknown option "_x_"']);
+    });
+
+    test('should export objectAdapter as a named export', () => {
+      expect(typeof objectAdapter.query).toBe('function');
+    });
+
     test('should export only the expected functions', () => {
       const exportedKeys = Object.keys(QueryWalker);
-      expect(exportedKeys).toHaveLength(2);
+      expect(exportedKeys).toHaveLength(13);
       expect(exportedKeys).toContain('walkHorizontally');
       expect(exportedKeys).toContain('walkVertically');
+      expect(exportedKeys).toContain('walkLive');
+      expect(exportedKeys).toContain('iterate');
+      expect(exportedKeys).toContain('use');
+      expect(exportedKeys).toContain('explain');
+      expect(exportedKeys).toContain('walkHTML');
+      expect(exportedKeys).toContain('definePseudo');
+      expect(exportedKeys).toContain('walkText');
+      expect(exportedKeys).toContain('register');
+      expect(exportedKeys).toContain('hydrate');
+      expect(exportedKeys).toContain('behaviors');
+      expect(exportedKeys).toContain('reset');
     });
   });
 
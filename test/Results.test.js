@@ -0,0 +1,84 @@
+/**
+ * Results Unit Tests
+ *
+ * This test suite validates detailed walk results. With `_results_` set to
+ * "detailed", both walkers return a map keyed by selector whose records tell
+ * which element produced each outcome and whether the handler settled.
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+
+describe.each([
+  ['walkHorizontally', walkHorizontally],
+  ['walkVertically', walkVertically]
+])('%s detailed results', (name, walk) => {
+  let scope;
+  let items;
+  let error;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<span class="item">A</span><span class="item">B</span><p class="text">C</p>';
+    items = [...scope.querySelectorAll('.item')];
+    error = new Error('Handler error');
+  });
+
+  test('should return records keyed by selector', async () => {
+    const result = await walk({
+      _scope_: scope,
+      _results_: 'detailed',
+      '.item': ({ element }) => element.textContent,
+      '.missing': jest.fn()
+    });
+
+    expect(result).toEqual({
+      '.item': [
+        { element: items[0], status: 'fulfilled', value: 'A', durationMs: expect.any(Number) },
+        { element: items[1], status: 'fulfilled', value: 'B', durationMs: expect.any(Number) }
+      ],
+      '.missing': []
+    });
+  });
+
+  test('should record rejected handlers and still call the exception handler', async () => {
+    const mockExceptionHandler = jest.fn().mockResolvedValue('error-handled');
+
+    const result = await walk({
+      _scope_: scope,
+      _results_: 'detailed',
+      '.text': () => {
+        throw error;
+      },
+      __exeptionHandler__: mockExceptionHandler
+    });
+
+    expect(result['.text']).toEqual([
+      { element: scope.querySelector('.text'), status: 'rejected', reason: error, durationMs: expect.any(Number) }
+    ]);
+    expect(mockExceptionHandler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should measure handler durations', async () => {
+    const result = await walk({
+      _scope_: scope,
+      _results_: 'detailed',
+      '.text': () => new Promise(resolve => setTimeout(resolve, 20))
+    });
+
+    expect(result['.text'][0].durationMs).toBeGreaterThanOrEqual(15);
+  });
+
+  test('should return detailed results from nested configs', async () => {
+    const result = await walk({
+      _scope_: scope,
+      _results_: 'detailed',
+      'div, span': {
+        '*': jest.fn()
+      }
+    });
+
+    expect(result['div, span'][0].value).toEqual({ '*': [] });
+  });
+});
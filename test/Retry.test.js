@@ -0,0 +1,164 @@
+/**
+ * Retry Unit Tests
+ *
+ * This test suite validates the `_retry_` option. Failing handlers are retried
+ * according to the global or per-selector policy, and only reach the
+ * exception handler once their attempts are exhausted.
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+import { delayOf, policyOf } from '../src/Walker/Retry.js';
+
+describe('Retry policy', () => {
+  test('should merge per-selector overrides over the global policy', () => {
+    const retryIf = () => false;
+    const policy = policyOf({
+      _retry_: { attempts: 3, delay: 10, '.price': { attempts: 5, retryIf } }
+    }, '.price');
+
+    expect(policy).toEqual(expect.objectContaining({
+      attempts: 5,
+      backoff: 'fixed',
+      delay: 10,
+      retryIf
+    }));
+    expect(policyOf({ _retry_: { attempts: 3 } }, '.price').attempts).toBe(3);
+    expect(policyOf({}, '.price')).toBeNull();
+  });
+
+  test('should compute fixed and exponential delays', () => {
+    const fixed = { backoff: 'fixed', delay: 100, maxDelay: Infinity, jitter: false };
+    const exponential = { backoff: 'exponential', delay: 100, maxDelay: 300, jitter: false };
+
+    expect([1, 2, 3].map(attempt => delayOf(fixed, attempt))).toEqual([100, 100, 100]);
+    expect([1, 2, 3].map(attempt => delayOf(exponential, attempt))).toEqual([100, 200, 300]);
+  });
+
+  test('should cap delays at the longest timer delay', () => {
+    const policy = { backoff: 'exponential', delay: 100, maxDelay: Infinity, jitter: false };
+
+    expect(delayOf(policy, 40)).toBe(2 ** 31 - 1);
+    expect(delayOf({ ...policy, backoff: 'fixed', delay: Infinity }, 1)).toBe(2 ** 31 - 1);
+  });
+
+  test('should randomise delays between half and the full delay with jitter', () => {
+    const policy = { backoff: 'fixed', delay: 100, maxDelay: Infinity, jitter: true };
+
+    for (let i = 0; i < 20; i++) {
+      const delay = delayOf(policy, 1);
+      expect(delay).toBeGreaterThanOrEqual(50);
+      expect(delay).toBeLessThanOrEqual(100);
+    }
+  });
+});
+
+describe.each([
+  ['walkHorizontally', walkHorizontally],
+  ['walkVertically', walkVertically]
+])('%s with _retry_', (name, walk) => {
+  let mockScope;
+  let mockElement;
+
+  beforeEach(() => {
+    mockElement = document.createElement('div');
+    mockScope = {
+      querySelectorAll: jest.fn(selector => selector === '.test-class' ? [mockElement] : [])
+    };
+  });
+
+  test('should retry a failing handler until it succeeds', async () => {
+    const mockHandler = jest.fn()
+      .mockRejectedValueOnce(new Error('Flaky'))
+      .mockRejectedValueOnce(new Error('Flaky'))
+      .mockResolvedValueOnce('processed');
+    const mockExceptionHandler = jest.fn();
+
+    const result = await walk({
+      _scope_: mockScope,
+      _retry_: { attempts: 3, delay: 1 },
+      '.test-class': mockHandler,
+      __exceptionHandler__: mockExceptionHandler
+    });
+
+    expect(result).toEqual(['processed']);
+    expect(mockHandler).toHaveBeenCalledTimes(3);
+    expect(mockExceptionHandler).not.toHaveBeenCalled();
+  });
+
+  test('should pass the attempt number to each call', async () => {
+    const attempts = [];
+    const mockHandler = jest.fn().mockImplementation(({ attempt }) => {
+      attempts.push(attempt);
+      throw new Error('Always fails');
+    });
+
+    await walk({
+      _scope_: mockScope,
+      _retry_: { attempts: 3, delay: 1 },
+      '.test-class': mockHandler,
+      __exceptionHandler__: jest.fn()
+    });
+
+    expect(attempts).toEqual([1, 2, 3]);
+  });
+
+  test('should call the exception handler once retries are exhausted', async () => {
+    const error = new Error('Always fails');
+    const mockExceptionHandler = jest.fn().mockResolvedValue('error-handled');
+
+    const result = await walk({
+      _scope_: mockScope,
+      _retry_: { attempts: 2, delay: 1, backoff: 'exponential', jitter: true },
+      '.test-class': jest.fn().mockRejectedValue(error),
+      __exceptionHandler__: mockExceptionHandler
+    });
+
+    expect(result).toEqual(['error-handled']);
+    expect(mockExceptionHandler).toHaveBeenCalledTimes(1);
+    expect(mockExceptionHandler).toHaveBeenCalledWith(error, expect.objectContaining({
+      element: mockElement,
+      attempt: 2
+    }));
+  });
+
+  test('should stop retrying when retryIf returns false', async () => {
+    const mockHandler = jest.fn().mockRejectedValue(new Error('Not found'));
+    const retryIf = jest.fn(error => error.message !== 'Not found');
+
+    await walk({
+      _scope_: mockScope,
+      _retry_: { attempts: 5, delay: 1, retryIf },
+      '.test-class': mockHandler,
+      __exceptionHandler__: jest.fn()
+    });
+
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+    expect(retryIf).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ attempt: 1 }));
+  });
+
+  test('should apply per-selector policies', async () => {
+    const mockHandler = jest.fn().mockRejectedValue(new Error('Always fails'));
+
+    await walk({
+      _scope_: mockScope,
+      _retry_: { delay: 1, '.test-class': { attempts: 4 } },
+      '.test-class': mockHandler,
+      __exceptionHandler__: jest.fn()
+    });
+
+    expect(mockHandler).toHaveBeenCalledTimes(4);
+  });
+
+  test('should not add attempt to the payload without _retry_', async () => {
+    const mockHandler = jest.fn();
+
+    await walk({
+      _scope_: mockScope,
+      '.test-class': mockHandler
+    });
+
+    expect(mockHandler.mock.calls[0][0]).not.toHaveProperty('attempt');
+  });
+});
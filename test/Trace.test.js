@@ -0,0 +1,139 @@
+/**
+ * Trace Unit Tests
+ *
+ * This test suite validates the `_trace_` option. Traced walks report, for
+ * each selector, how long the query took, how many elements matched and how
+ * long the handlers ran, either on the returned result or through a callback.
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+import { percentile } from '../src/Walker/Trace.js';
+
+describe('percentile', () => {
+  test('should use the nearest rank', () => {
+    const values = Array.from({ length: 20 }, (_, index) => 20 - index);
+
+    expect(percentile(values, 95)).toBe(19);
+    expect(percentile(values, 100)).toBe(20);
+    expect(percentile([7], 95)).toBe(7);
+    expect(percentile([], 95)).toBeNull();
+  });
+});
+
+describe.each([
+  ['walkHorizontally', walkHorizontally],
+  ['walkVertically', walkVertically]
+])('%s with _trace_', (name, walk) => {
+  let scope;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<span class="item">A</span><span class="item">B</span><p class="broken">C</p>';
+  });
+
+  const config = (extra) => ({
+    _scope_: scope,
+    '.item': ({ element }) => new Promise(resolve => setTimeout(() => resolve(element.textContent), 20)),
+    '.broken': () => {
+      throw new Error('Handler error');
+    },
+    '.missing': jest.fn(),
+    __exceptionHandler__: () => 'error-handled',
+    ...extra
+  });
+
+  test('should attach the trace to the returned results', async () => {
+    const result = await walk(config({ _trace_: true }));
+
+    expect(result).toEqual(['A', 'B', 'error-handled']);
+    expect(Object.keys(result)).not.toContain('trace');
+    expect(result.trace).toEqual({
+      walker: name,
+      totalMs: expect.any(Number),
+      rootsMs: expect.any(Number),
+      selectors: {
+        '.item': {
+          queryMs: expect.any(Number),
+          matches: 2,
+          handled: 2,
+          errors: 0,
+          handlerMs: { min: expect.any(Number), max: expect.any(Number), p95: expect.any(Number) }
+        },
+        '.broken': expect.objectContaining({ matches: 1, handled: 1, errors: 1 }),
+        '.missing': {
+          queryMs: expect.any(Number),
+          matches: 0,
+          handled: 0,
+          errors: 0,
+          handlerMs: { min: null, max: null, p95: null }
+        }
+      }
+    });
+    expect(result.trace.selectors['.item'].handlerMs.min).toBeGreaterThanOrEqual(15);
+    expect(result.trace.totalMs).toBeGreaterThanOrEqual(result.trace.selectors['.item'].handlerMs.max);
+  });
+
+  test('should emit the trace to a callback', async () => {
+    const onTrace = jest.fn();
+
+    const result = await walk(config({ _trace_: onTrace }));
+
+    expect(result).not.toHaveProperty('trace');
+    expect(onTrace).toHaveBeenCalledTimes(1);
+    expect(onTrace).toHaveBeenCalledWith(expect.objectContaining({
+      walker: name,
+      selectors: expect.objectContaining({
+        '.item': expect.objectContaining({ matches: 2 })
+      })
+    }));
+  });
+
+  test('should attach the trace to detailed results', async () => {
+    const result = await walk(config({ _trace_: true, _results_: 'detailed' }));
+
+    expect(Object.keys(result)).toEqual(['.item', '.broken', '.missing']);
+    expect(result.trace.selectors['.broken'].errors).toBe(1);
+  });
+
+  test('should count matches that a duplicates policy skips', async () => {
+    const result = await walk({
+      _scope_: scope,
+      _trace_: true,
+      _duplicates_: 'first',
+      'span': jest.fn(),
+      '.item': jest.fn()
+    });
+
+    expect(result.trace.selectors['.item']).toEqual(expect.objectContaining({ matches: 2, handled: 0 }));
+  });
+
+  test('should time root enumeration apart from the selectors', async () => {
+    scope.appendChild(document.createElement('iframe'));
+    const onSkippedFrame = () => {
+      const start = Date.now();
+      while (Date.now() - start < 20);
+    };
+
+    const result = await walk(config({ _trace_: true, _frames_: true, _onSkippedFrame_: onSkippedFrame }));
+
+    expect(result.trace.rootsMs).toBeGreaterThanOrEqual(15);
+    expect(result.trace.selectors['.item'].queryMs).toBeLessThan(15);
+  });
+
+  test('should not trace walks by default', async () => {
+    const result = await walk(config({}));
+
+    expect(result).not.toHaveProperty('trace');
+  });
+});
+
+describe('walkVertically with _trace_ and no scope', () => {
+  test('should return no results', async () => {
+    const result = await walkVertically({ _scope_: null, _trace_: true, _pierceShadow_: true, '.a': jest.fn() });
+
+    expect(result).toEqual([]);
+    expect(result.trace.rootsMs).toBe(0);
+  });
+});
@@ -8,6 +8,8 @@
 
 import { jest, describe, test, expect, beforeEach } from '@jest/globals';
 import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { TimeoutError } from '../src/Walker/Signal.js';
+import { ConfigError } from '../src/Walker/Config.js';
 
 describe('walkHorizontally', () => {
   let mockScope;
@@ -224,8 +226,16 @@ describe('walkHorizontally', () => {
     const mockExceptionHandler = jest.fn();
     const config = { __exeptionHandler__: mockExceptionHandler };
 
+    // 例外ハンドラーはセレクターとして扱われない
+    const result = await walkHorizontally(config);
+    expect(result).toEqual([]);
+  });
+
+  test('should reject selectors without _scope_', async () => {
+    const config = { '.test-class': jest.fn() };
+
     // _scope_が未定義の場合、エラーが発生する
-    await expect(walkHorizontally(config)).rejects.toThrow();
+    await expect(walkHorizontally(config)).rejects.toThrow(ConfigError);
   });
 
   test('should handle multiple elements with different processing times', async () => {
@@ -446,4 +456,220 @@ describe('walkHorizontally', () => {
     expect(result).toEqual(['rejection-handled', 'rejection-handled']);
     expect(mockExceptionHandler).toHaveBeenCalled();
   });
+
+  test('should limit in-flight handlers with _concurrency_', async () => {
+    const manyElements = Array.from({ length: 6 }, (_, i) => {
+      const element = document.createElement('div');
+      element.dataset.id = `element-${i}`;
+      return element;
+    });
+    const mockScopeWithMany = {
+      querySelectorAll: jest.fn(() => manyElements)
+    };
+
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const mockHandler = jest.fn().mockImplementation(async ({ element }) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, Math.random() * 10));
+      inFlight--;
+      return element.dataset.id;
+    });
+
+    const result = await walkHorizontally({
+      _scope_: mockScopeWithMany,
+      _concurrency_: 2,
+      '.test-class': mockHandler
+    });
+
+    expect(maxInFlight).toBe(2);
+    expect(mockHandler).toHaveBeenCalledTimes(6);
+    expect(result).toEqual(manyElements.map(element => element.dataset.id));
+  });
+
+  test('should not pass _concurrency_ to querySelectorAll', async () => {
+    await walkHorizontally({
+      _scope_: mockScope,
+      _concurrency_: 1,
+      '.test-class': jest.fn()
+    });
+
+    expect(mockScope.querySelectorAll).not.toHaveBeenCalledWith('_concurrency_');
+  });
+
+  test('should preserve exception handling with _concurrency_', async () => {
+    const mockHandler = jest.fn()
+      .mockRejectedValueOnce(new Error('Test error'))
+      .mockResolvedValueOnce('processed');
+    const mockExceptionHandler = jest.fn().mockResolvedValue('error-handled');
+
+    const result = await walkHorizontally({
+      _scope_: mockScope,
+      _concurrency_: 1,
+      '.test-class': mockHandler,
+      __exeptionHandler__: mockExceptionHandler
+    });
+
+    expect(result).toEqual(['error-handled', 'processed']);
+    expect(mockExceptionHandler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should pass _signal_ to handlers in the payload', async () => {
+    const controller = new AbortController();
+    const mockHandler = jest.fn();
+    const config = {
+      _scope_: mockScope,
+      _signal_: controller.signal,
+      '.test-class': mockHandler
+    };
+
+    await walkHorizontally(config);
+
+    expect(mockScope.querySelectorAll).not.toHaveBeenCalledWith('_signal_');
+    expect(mockHandler).toHaveBeenCalledWith({
+      element: mockElement1,
+      selector: expect.any(String),
+      self: config,
+      signal: controller.signal
+    });
+  });
+
+  test('should reject without walking when _signal_ is already aborted', async () => {
+    const controller = new AbortController();
+    const reason = new Error('Aborted');
+    controller.abort(reason);
+    const mockHandler = jest.fn();
+
+    await expect(walkHorizontally({
+      _scope_: mockScope,
+      _signal_: controller.signal,
+      '.test-class': mockHandler
+    })).rejects.toBe(reason);
+    expect(mockHandler).not.toHaveBeenCalled();
+  });
+
+  test('should reject with the abort reason while handlers are running', async () => {
+    const controller = new AbortController();
+    const reason = new Error('Aborted');
+    const mockHandler = jest.fn().mockImplementation(() => new Promise(() => {}));
+
+    const walk = walkHorizontally({
+      _scope_: mockScope,
+      _signal_: controller.signal,
+      '.test-class': mockHandler
+    });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    controller.abort(reason);
+
+    await expect(walk).rejects.toBe(reason);
+  });
+
+  test('should not start pending handlers after abort', async () => {
+    const controller = new AbortController();
+    const reason = new Error('Aborted');
+    const mockHandler = jest.fn().mockImplementation(async () => {
+      controller.abort(reason);
+    });
+    const mockExceptionHandler = jest.fn();
+
+    await expect(walkHorizontally({
+      _scope_: mockScope,
+      _concurrency_: 1,
+      _signal_: controller.signal,
+      '.test-class': mockHandler,
+      __exeptionHandler__: mockExceptionHandler
+    })).rejects.toBe(reason);
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+    expect(mockExceptionHandler).not.toHaveBeenCalled();
+  });
+
+  test('should not start pending handlers after abort without _concurrency_', async () => {
+    const controller = new AbortController();
+    const reason = new Error('Aborted');
+    const scope = document.createElement('div');
+    scope.innerHTML = '<i></i><i></i><i></i>';
+    const mockHandler = jest.fn().mockImplementation(() => {
+      controller.abort(reason);
+    });
+    const mockExceptionHandler = jest.fn();
+
+    await expect(walkHorizontally({
+      _scope_: scope,
+      _signal_: controller.signal,
+      'i': mockHandler,
+      __exeptionHandler__: mockExceptionHandler
+    })).rejects.toBe(reason);
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+    expect(mockExceptionHandler).not.toHaveBeenCalled();
+  });
+
+  test('should route handlers exceeding _timeout_ to the exception handler', async () => {
+    const mockHandler = jest.fn()
+      .mockImplementationOnce(() => new Promise(() => {}))
+      .mockResolvedValueOnce('processed');
+    const mockExceptionHandler = jest.fn().mockResolvedValue('timed-out');
+
+    const result = await walkHorizontally({
+      _scope_: mockScope,
+      _timeout_: 10,
+      '.test-class': mockHandler,
+      __exeptionHandler__: mockExceptionHandler
+    });
+
+    expect(result).toEqual(['timed-out', 'processed']);
+    expect(mockScope.querySelectorAll).not.toHaveBeenCalledWith('_timeout_');
+    expect(mockExceptionHandler).toHaveBeenCalledTimes(1);
+    const [error] = mockExceptionHandler.mock.calls[0];
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.element).toBe(mockElement1);
+    expect(String(error.selector)).toBe('.test-class');
+    expect(error.timeout).toBe(10);
+  });
+
+  test('should reject with a TimeoutError when _walkTimeout_ is exceeded', async () => {
+    const mockHandler = jest.fn().mockImplementation(() => new Promise(() => {}));
+    const mockExceptionHandler = jest.fn();
+
+    const walk = walkHorizontally({
+      _scope_: mockScope,
+      _walkTimeout_: 10,
+      '.test-class': mockHandler,
+      __exeptionHandler__: mockExceptionHandler
+    });
+
+    await expect(walk).rejects.toBeInstanceOf(TimeoutError);
+    expect(mockScope.querySelectorAll).not.toHaveBeenCalledWith('_walkTimeout_');
+    expect(mockExceptionHandler).not.toHaveBeenCalled();
+  });
+
+  test('should pass a signal aborted by _walkTimeout_ to handlers', async () => {
+    let handlerSignal;
+    const mockHandler = jest.fn().mockImplementation(({ signal }) => {
+      handlerSignal = signal;
+      return new Promise(() => {});
+    });
+
+    await expect(walkHorizontally({
+      _scope_: mockScope,
+      _walkTimeout_: 10,
+      '.test-class': mockHandler
+    })).rejects.toBeInstanceOf(TimeoutError);
+    expect(handlerSignal.aborted).toBe(true);
+    expect(handlerSignal.reason).toBeInstanceOf(TimeoutError);
+  });
+
+  test('should order results by document position with _order_: "document"', async () => {
+    const scope = document.createElement('div');
+    scope.innerHTML = '<h3>Sub</h3><h2>Section</h2>';
+
+    const result = await walkHorizontally({
+      _scope_: scope,
+      _order_: 'document',
+      'h2': ({ element }) => element.textContent,
+      'h3': ({ element }) => element.textContent
+    });
+
+    expect(result).toEqual(['Sub', 'Section']);
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,239 @@
+/**
+ * WalkLive Unit Tests
+ *
+ * This test suite validates the live walking functionality of QueryWalker.
+ * Live walking processes the elements already present in the scope and then
+ * keeps observing the scope, processing every element inserted afterwards.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { walkLive } from '../src/Walker/WalkLive.js';
+import { ConfigError } from '../src/Walker/Config.js';
+
+// Let the MutationObserver deliver its records and the handlers settle
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('walkLive', () => {
+  let scope;
+  let handle;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = `
+      <div class="item">Item 1</div>
+      <div class="item">Item 2</div>
+    `;
+    document.body.appendChild(scope);
+  });
+
+  afterEach(() => {
+    handle?.stop();
+    handle = undefined;
+    scope.remove();
+  });
+
+  test('should be an async function', () => {
+    expect(walkLive.constructor.name).toBe('AsyncFunction');
+  });
+
+  test('should report options it does not support', async () => {
+    const mockHandler = jest.fn();
+    const controller = new AbortController();
+    controller.abort();
+
+    const walking = walkLive({
+      _scope_: scope,
+      _signal_: controller.signal,
+      _timeout_: 100,
+      '.item': mockHandler
+    });
+
+    await expect(walking).rejects.toThrow(ConfigError);
+    expect((await walking.catch(ex => ex)).problems).toEqual([
+      'config: option "_signal_" is not supported by walkLive',
+      'config: option "_timeout_" is not supported by walkLive'
+    ]);
+    expect(mockHandler).not.toHaveBeenCalled();
+  });
+
+  test('should process existing elements and return their results', async () => {
+    const mockHandler = jest.fn().mockImplementation(async ({ element }) => {
+      return element.textContent;
+    });
+
+    handle = await walkLive({
+      _scope_: scope,
+      '.item': mockHandler
+    });
+
+    expect(mockHandler).toHaveBeenCalledTimes(2);
+    expect(handle.results).toEqual(['Item 1', 'Item 2']);
+  });
+
+  test('should call handler with correct parameters', async () => {
+    const mockHandler = jest.fn();
+    const config = {
+      _scope_: scope,
+      '.item': mockHandler
+    };
+
+    handle = await walkLive(config);
+
+    expect(mockHandler).toHaveBeenCalledWith({
+      element: scope.querySelector('.item'),
+      selector: expect.any(String),
+      self: config
+    });
+  });
+
+  test('should report errors of inserted elements instead of rejecting', async () => {
+    const info = jest.spyOn(console, 'info').mockImplementation(() => {});
+    const error = new Error('Exception handler error');
+
+    handle = await walkLive({
+      _scope_: scope,
+      '.inserted': jest.fn().mockRejectedValue(new Error('Handler error')),
+      __exceptionHandler__: jest.fn().mockRejectedValue(error)
+    });
+
+    const inserted = document.createElement('div');
+    inserted.className = 'inserted';
+    scope.appendChild(inserted);
+    await flush();
+
+    expect(info).toHaveBeenCalledWith('walkLive |', error, expect.objectContaining({ element: inserted }));
+    info.mockRestore();
+  });
+
+  test('should stop observing when the existing elements reject', async () => {
+    const error = new Error('Exception handler error');
+    const mockHandler = jest.fn().mockRejectedValue(new Error('Handler error'));
+
+    await expect(walkLive({
+      _scope_: scope,
+      '.item': mockHandler,
+      __exceptionHandler__: jest.fn().mockRejectedValue(error)
+    })).rejects.toBe(error);
+
+    const inserted = document.createElement('div');
+    inserted.className = 'item';
+    scope.appendChild(inserted);
+    await flush();
+
+    expect(mockHandler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should connect lifecycle entries again when an element is re-inserted', async () => {
+    const connected = jest.fn();
+    const disconnected = jest.fn();
+
+    handle = await walkLive({
+      _scope_: scope,
+      '.item': { connected, disconnected }
+    });
+
+    const item = scope.querySelector('.item');
+    item.remove();
+    await flush();
+    scope.appendChild(item);
+    await flush();
+
+    expect(disconnected).toHaveBeenCalledTimes(1);
+    expect(connected).toHaveBeenCalledTimes(3);
+    expect(connected).toHaveBeenLastCalledWith(expect.objectContaining({ element: item }));
+  });
+
+  test('should process inserted elements', async () => {
+    const mockHandler = jest.fn();
+
+    handle = await walkLive({
+      _scope_: scope,
+      '.item': mockHandler
+    });
+
+    const inserted = document.createElement('div');
+    inserted.className = 'item';
+    scope.appendChild(inserted);
+    await flush();
+
+    expect(mockHandler).toHaveBeenCalledTimes(3);
+    expect(mockHandler).toHaveBeenLastCalledWith(
+      expect.objectContaining({ element: inserted })
+    );
+  });
+
+  test('should process matches nested inside inserted subtrees', async () => {
+    const mockHandler = jest.fn();
+
+    handle = await walkLive({
+      _scope_: scope,
+      '.item': mockHandler
+    });
+
+    const wrapper = document.createElement('section');
+    wrapper.innerHTML = '<div class="item">A</div><p><span class="item">B</span></p>';
+    scope.appendChild(wrapper);
+    await flush();
+
+    const processed = mockHandler.mock.calls.slice(2).map(([{ element }]) => element.textContent);
+    expect(processed).toEqual(['A', 'B']);
+  });
+
+  test('should not process an element twice when it is moved', async () => {
+    const mockHandler = jest.fn();
+
+    handle = await walkLive({
+      _scope_: scope,
+      '.item': mockHandler
+    });
+
+    scope.appendChild(scope.querySelector('.item'));
+    await flush();
+
+    expect(mockHandler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should route handler errors to the exception handler', async () => {
+    const mockExceptionHandler = jest.fn().mockResolvedValue('error-handled');
+
+    handle = await walkLive({
+      _scope_: scope,
+      '.item': jest.fn().mockRejectedValue(new Error('Test error')),
+      __exeptionHandler__: mockExceptionHandler
+    });
+
+    const inserted = document.createElement('div');
+    inserted.className = 'item';
+    scope.appendChild(inserted);
+    await flush();
+
+    expect(handle.results).toEqual(['error-handled', 'error-handled']);
+    expect(mockExceptionHandler).toHaveBeenCalledTimes(3);
+    expect(mockExceptionHandler).toHaveBeenLastCalledWith(
+      expect.any(Error),
+      expect.objectContaining({ element: inserted })
+    );
+  });
+
+  test('should stop observing after stop()', async () => {
+    const mockHandler = jest.fn();
+
+    handle = await walkLive({
+      _scope_: scope,
+      '.item': mockHandler
+    });
+    handle.stop();
+
+    const inserted = document.createElement('div');
+    inserted.className = 'item';
+    scope.appendChild(inserted);
+    await flush();
+
+    expect(mockHandler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should expose disconnect() as an alias of stop()', async () => {
+    handle = await walkLive({ _scope_: scope });
+    expect(handle.disconnect).toBe(handle.stop);
+  });
+});
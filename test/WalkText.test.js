@@ -0,0 +1,155 @@
+/**
+ * WalkText Unit Tests
+ *
+ * This test suite validates text walking with `walkText`. Text nodes within
+ * the scope are matched against regular expression keys, and handlers receive
+ * the match with its groups and offsets plus a helper to wrap the match.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { walkText } from '../src/Walker/WalkText.js';
+import { patternOf, wrapText } from '../src/Walker/Text.js';
+import { ConfigError } from '../src/Walker/Config.js';
+
+describe('patternOf', () => {
+  test('should build global expressions from sources and literals', () => {
+    expect(patternOf('[A-Z]+-\\d+')).toEqual(/[A-Z]+-\d+/g);
+    expect(patternOf('/colou?r/i')).toEqual(/colou?r/gi);
+    expect(patternOf('/a/g')).toEqual(/a/g);
+  });
+});
+
+describe('wrapText', () => {
+  test('should wrap a range of a text node', () => {
+    const paragraph = document.createElement('p');
+    paragraph.textContent = 'See OPS-12 now';
+
+    const link = wrapText(paragraph.firstChild, 4, 10, 'a', { href: '/OPS-12' });
+
+    expect(link.tagName).toBe('A');
+    expect(paragraph.innerHTML).toBe('See <a href="/OPS-12">OPS-12</a> now');
+  });
+});
+
+describe('walkText', () => {
+  let scope;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = `<p>Fixed OPS-12 and WEB-7, see the API docs.</p><script>var OPS = "OPS-99";</script><p>API</p>`;
+    document.body.appendChild(scope);
+  });
+
+  afterEach(() => {
+    scope.remove();
+  });
+
+  test('should pass text nodes, groups and offsets to handlers', async () => {
+    const mockHandler = jest.fn(({ text }) => text);
+
+    const result = await walkText({
+      _scope_: scope,
+      '(?<project>[A-Z]{3})-(\\d+)': mockHandler
+    });
+
+    expect(result).toEqual(['OPS-12', 'WEB-7']);
+    expect(mockHandler).toHaveBeenCalledWith(expect.objectContaining({
+      node: scope.querySelector('p').firstChild,
+      selector: expect.any(String),
+      self: expect.any(Object),
+      text: 'OPS-12',
+      groups: ['OPS', '12'],
+      namedGroups: { project: 'OPS' },
+      start: 6,
+      end: 12,
+      wrap: expect.any(Function)
+    }));
+  });
+
+  test('should wrap matches in document order results', async () => {
+    const result = await walkText({
+      _scope_: scope,
+      '[A-Z]{3}-\\d+': ({ text, wrap }) => wrap('a', { href: `/tickets/${text}` }).outerHTML,
+      '/\\bapi\\b/i': ({ wrap }) => wrap().outerHTML
+    });
+
+    expect(result).toEqual([
+      '<a href="/tickets/OPS-12">OPS-12</a>',
+      '<a href="/tickets/WEB-7">WEB-7</a>',
+      '<mark>API</mark>',
+      '<mark>API</mark>'
+    ]);
+    expect(scope.querySelector('p').innerHTML).toBe(
+      'Fixed <a href="/tickets/OPS-12">OPS-12</a> and <a href="/tickets/WEB-7">WEB-7</a>, see the <mark>API</mark> docs.'
+    );
+  });
+
+  test('should skip script contents and custom _skip_ ancestors', async () => {
+    const mockHandler = jest.fn();
+
+    await walkText({ _scope_: scope, 'OPS-\\d+': mockHandler });
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+
+    mockHandler.mockClear();
+    await walkText({ _scope_: scope, _skip_: 'p', 'OPS-\\d+': mockHandler });
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+    expect(mockHandler.mock.calls[0][0].text).toBe('OPS-99');
+  });
+
+  test('should handle overlapping matches once, preferring the earliest key', async () => {
+    const ticket = jest.fn(() => 'ticket');
+    const project = jest.fn(() => 'project');
+
+    const result = await walkText({
+      _scope_: scope,
+      'OPS': project,
+      'OPS-\\d+': ticket
+    });
+
+    expect(result).toEqual(['project']);
+    expect(ticket).not.toHaveBeenCalled();
+  });
+
+  test('should pass handler errors to the exception handler', async () => {
+    const error = new Error('Handler error');
+    const mockExceptionHandler = jest.fn().mockResolvedValue('error-handled');
+
+    const result = await walkText({
+      _scope_: scope,
+      'WEB-\\d+': () => {
+        throw error;
+      },
+      __exceptionHandler__: mockExceptionHandler
+    });
+
+    expect(result).toEqual(['error-handled']);
+    expect(mockExceptionHandler).toHaveBeenCalledWith(error, expect.objectContaining({ text: 'WEB-7' }));
+  });
+
+  test('should stop when _signal_ aborts', async () => {
+    const controller = new AbortController();
+    const mockHandler = jest.fn(() => controller.abort());
+
+    await expect(walkText({
+      _scope_: scope,
+      _signal_: controller.signal,
+      '[A-Z]{3}-\\d+': mockHandler
+    })).rejects.toThrow();
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should validate patterns and handlers', async () => {
+    const walking = walkText({
+      _scope_: scope,
+      '([A-Z]': jest.fn(),
+      'API': { '.nested': jest.fn() }
+    });
+
+    await expect(walking).rejects.toThrow(ConfigError);
+    expect((await walking.catch(ex => ex)).problems).toEqual([
+      'config: invalid pattern "([A-Z]"',
+      'config: "API" must be a function'
+    ]);
+    await expect(walkText({ 'API': jest.fn() })).rejects.toThrow(ConfigError);
+  });
+});
@@ -8,6 +8,7 @@
 
 import { jest, describe, test, expect, beforeEach } from '@jest/globals';
 import { walkVertically } from '../src/Walker/WalkVertically.js';
+import { TimeoutError } from '../src/Walker/Signal.js';
 
 describe('walkVertically', () => {
   let mockScope;
@@ -439,4 +440,176 @@ describe('walkVertically', () => {
     expect(result).toEqual(['rejection-handled', 'rejection-handled']);
     expect(mockExceptionHandler).toHaveBeenCalled();
   });
+
+  test('should pass _signal_ to handlers in the payload', async () => {
+    const controller = new AbortController();
+    const mockHandler = jest.fn();
+    const config = {
+      _scope_: mockScope,
+      _signal_: controller.signal,
+      '.test-class': mockHandler
+    };
+
+    await walkVertically(config);
+
+    expect(mockScope.querySelectorAll).not.toHaveBeenCalledWith('_signal_');
+    expect(mockHandler).toHaveBeenCalledWith({
+      element: mockElement1,
+      selector: expect.any(String),
+      self: config,
+      signal: controller.signal
+    });
+  });
+
+  test('should reject without walking when _signal_ is already aborted', async () => {
+    const controller = new AbortController();
+    const reason = new Error('Aborted');
+    controller.abort(reason);
+    const mockHandler = jest.fn();
+
+    await expect(walkVertically({
+      _scope_: mockScope,
+      _signal_: controller.signal,
+      '.test-class': mockHandler
+    })).rejects.toBe(reason);
+    expect(mockHandler).not.toHaveBeenCalled();
+  });
+
+  test('should stop before the next element on abort', async () => {
+    const controller = new AbortController();
+    const reason = new Error('Aborted');
+    const mockHandler = jest.fn().mockImplementation(async () => {
+      controller.abort(reason);
+      return 'processed';
+    });
+
+    await expect(walkVertically({
+      _scope_: mockScope,
+      _signal_: controller.signal,
+      '.test-class': mockHandler
+    })).rejects.toBe(reason);
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject with the abort reason while a handler is running', async () => {
+    const controller = new AbortController();
+    const reason = new Error('Aborted');
+    const mockHandler = jest.fn().mockImplementation(() => new Promise(() => {}));
+    const mockExceptionHandler = jest.fn();
+
+    const walk = walkVertically({
+      _scope_: mockScope,
+      _signal_: controller.signal,
+      '.test-class': mockHandler,
+      __exeptionHandler__: mockExceptionHandler
+    });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    controller.abort(reason);
+
+    await expect(walk).rejects.toBe(reason);
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+    expect(mockExceptionHandler).not.toHaveBeenCalled();
+  });
+
+  test('should route handlers exceeding _timeout_ to the exception handler', async () => {
+    const mockHandler = jest.fn()
+      .mockImplementationOnce(() => new Promise(() => {}))
+      .mockResolvedValueOnce('processed');
+    const mockExceptionHandler = jest.fn().mockResolvedValue('timed-out');
+
+    const result = await walkVertically({
+      _scope_: mockScope,
+      _timeout_: 10,
+      '.test-class': mockHandler,
+      __exeptionHandler__: mockExceptionHandler
+    });
+
+    expect(result).toEqual(['timed-out', 'processed']);
+    expect(mockScope.querySelectorAll).not.toHaveBeenCalledWith('_timeout_');
+    expect(mockExceptionHandler).toHaveBeenCalledTimes(1);
+    const [error] = mockExceptionHandler.mock.calls[0];
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.element).toBe(mockElement1);
+    expect(String(error.selector)).toBe('.test-class');
+    expect(error.timeout).toBe(10);
+  });
+
+  test('should reject with a TimeoutError when _walkTimeout_ is exceeded', async () => {
+    const mockHandler = jest.fn().mockImplementation(() => new Promise(() => {}));
+    const mockExceptionHandler = jest.fn();
+
+    const walk = walkVertically({
+      _scope_: mockScope,
+      _walkTimeout_: 10,
+      '.test-class': mockHandler,
+      __exeptionHandler__: mockExceptionHandler
+    });
+
+    await expect(walk).rejects.toBeInstanceOf(TimeoutError);
+    expect(mockScope.querySelectorAll).not.toHaveBeenCalledWith('_walkTimeout_');
+    expect(mockExceptionHandler).not.toHaveBeenCalled();
+  });
+
+  test('should pass a signal aborted by _walkTimeout_ to handlers', async () => {
+    let handlerSignal;
+    const mockHandler = jest.fn().mockImplementation(({ signal }) => {
+      handlerSignal = signal;
+      return new Promise(() => {});
+    });
+
+    await expect(walkVertically({
+      _scope_: mockScope,
+      _walkTimeout_: 10,
+      '.test-class': mockHandler
+    })).rejects.toBeInstanceOf(TimeoutError);
+    expect(handlerSignal.aborted).toBe(true);
+    expect(handlerSignal.reason).toBeInstanceOf(TimeoutError);
+  });
+
+  test('should visit elements in document order with _order_: "document"', async () => {
+    const scope = document.createElement('div');
+    scope.innerHTML = `
+      <h1>Title</h1>
+      <h2>Section A</h2>
+      <h3>Sub A.1</h3>
+      <h2>Section B</h2>
+    `;
+    const visited = [];
+    const record = ({ element, selector }) => {
+      visited.push(`${selector}:${element.textContent}`);
+      return element.textContent;
+    };
+
+    const config = {
+      _scope_: scope,
+      _order_: 'document',
+      'h2': record,
+      'h3': record,
+      'h1, h2': record
+    };
+    const result = await walkVertically(config);
+
+    expect(visited).toEqual([
+      'h1, h2:Title',
+      'h2:Section A',
+      'h1, h2:Section A',
+      'h3:Sub A.1',
+      'h2:Section B',
+      'h1, h2:Section B'
+    ]);
+    expect(result).toEqual(['Title', 'Section A', 'Section A', 'Sub A.1', 'Section B', 'Section B']);
+  });
+
+  test('should keep config order without _order_', async () => {
+    const scope = document.createElement('div');
+    scope.innerHTML = '<h3>Sub</h3><h2>Section</h2>';
+
+    const result = await walkVertically({
+      _scope_: scope,
+      'h2': ({ element }) => element.textContent,
+      'h3': ({ element }) => element.textContent
+    });
+
+    expect(result).toEqual(['Section', 'Sub']);
+  });
 }); 
\ No newline at end of file
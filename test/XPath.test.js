@@ -0,0 +1,131 @@
+/**
+ * XPath Unit Tests
+ *
+ * This test suite validates config keys prefixed with `xpath:`. They are
+ * evaluated with `document.evaluate` within the scope and may match text and
+ * attribute nodes as well as elements.
+ */
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { walkHorizontally } from '../src/Walker/WalkHorizontally.js';
+import { walkVertically } from '../src/Walker/WalkVertically.js';
+import { walkLive } from '../src/Walker/WalkLive.js';
+import { ConfigError } from '../src/Walker/Config.js';
+
+describe.each([
+  ['walkHorizontally', walkHorizontally],
+  ['walkVertically', walkVertically]
+])('%s with xpath: keys', (name, walk) => {
+  let scope;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = `
+      <table>
+        <tr><td>Apples</td><td>3</td><td>120</td></tr>
+        <tr><td>Pears</td><td>5</td><td>80</td></tr>
+        <tr><td>Plums</td><td>8</td><td>150</td></tr>
+      </table>
+      <a href="/docs" title="Docs">Read the docs</a>
+    `;
+    document.body.appendChild(scope);
+  });
+
+  afterEach(() => {
+    scope.remove();
+  });
+
+  test('should match elements with numeric comparisons', async () => {
+    const result = await walk({
+      _scope_: scope,
+      'xpath://table//tr[td[3] > 100]': ({ element }) => element.firstChild.textContent
+    });
+
+    expect(result).toEqual(['Apples', 'Plums']);
+  });
+
+  test('should match text and attribute nodes', async () => {
+    const mockHandler = jest.fn(({ element }) => element.nodeValue);
+
+    const result = await walk({
+      _scope_: scope,
+      'xpath:.//a/text()': mockHandler,
+      'xpath:.//a/@title': mockHandler
+    });
+
+    expect(result).toEqual(['Read the docs', 'Docs']);
+    expect(mockHandler.mock.calls[0][0].element.nodeType).toBe(Node.TEXT_NODE);
+    expect(mockHandler.mock.calls[1][0].element.nodeType).toBe(Node.ATTRIBUTE_NODE);
+  });
+
+  test('should only match nodes within the scope', async () => {
+    const outside = document.createElement('table');
+    outside.innerHTML = '<tr><td>Outside</td><td>1</td><td>999</td></tr>';
+    document.body.appendChild(outside);
+
+    const result = await walk({
+      _scope_: scope.querySelector('table'),
+      'xpath://tr[td[3] > 100]': ({ element }) => element.firstChild.textContent,
+      'xpath:.': jest.fn()
+    });
+
+    expect(result).toEqual(['Apples', 'Plums']);
+    outside.remove();
+  });
+
+  test('should mix xpath and CSS keys', async () => {
+    const result = await walk({
+      _scope_: scope,
+      'a': ({ element }) => element.getAttribute('href'),
+      'xpath://td[contains(., "Pear")]': ({ element }) => element.textContent
+    });
+
+    expect(result).toEqual(['/docs', 'Pears']);
+  });
+
+  test('should report invalid expressions as config errors', async () => {
+    const walking = walk({
+      _scope_: scope,
+      'xpath://tr[': jest.fn()
+    });
+
+    await expect(walking).rejects.toThrow(ConfigError);
+    expect((await walking.catch(ex => ex)).problems).toEqual([
+      'config: invalid selector "xpath://tr["'
+    ]);
+  });
+});
+
+describe('walkLive with xpath: keys', () => {
+  let scope;
+  let handle;
+
+  beforeEach(() => {
+    scope = document.createElement('div');
+    scope.innerHTML = '<ul><li>1</li></ul>';
+    document.body.appendChild(scope);
+  });
+
+  afterEach(() => {
+    handle?.stop();
+    scope.remove();
+  });
+
+  test('should process existing and inserted matches', async () => {
+    const mockHandler = jest.fn();
+
+    handle = await walkLive({
+      _scope_: scope,
+      'xpath://li[. > 1]': mockHandler
+    });
+    expect(mockHandler).not.toHaveBeenCalled();
+
+    const item = document.createElement('li');
+    item.textContent = '2';
+    scope.querySelector('ul').appendChild(item);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(mockHandler).toHaveBeenCalledTimes(1);
+    expect(mockHandler).toHaveBeenCalledWith(expect.objectContaining({ element: item }));
+  });
+});